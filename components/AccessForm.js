@@ -1,18 +1,39 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { sessionManager } from '../lib/db';
+import { getRetryAfter } from '../lib/retry';
 
 const AccessForm = () => {
-  const [secretKey, setSecretKey] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [signInOptions, setSignInOptions] = useState({ password: true, sso: null });
   const router = useRouter();
 
+  useEffect(() => {
+    sessionManager.getSignInOptions().then(setSignInOptions);
+  }, []);
+
+  // A failed single sign-on comes back with its reason in the query string
+  useEffect(() => {
+    if (typeof router.query.error === 'string') {
+      setError(router.query.error);
+    }
+  }, [router.query.error]);
+
+  // Single sign-on is a full-page navigation through the identity provider
+  const handleSingleSignOn = () => {
+    setIsLoading(true);
+    setError('');
+    window.location.assign(signInOptions.sso.url);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!secretKey.trim()) {
-      setError('Please enter the secret key');
+    if (!username.trim() || !password) {
+      setError('Please enter your username and password');
       return;
     }
     
@@ -25,18 +46,21 @@ const AccessForm = () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ secretKey }),
+        body: JSON.stringify({ username: username.trim(), password }),
       });
       
       const data = await response.json();
       
+      // Too many failed attempts: the server says how long to wait
+      const retryAfter = response.status === 429 ? getRetryAfter(response) : null;
+      if (retryAfter) {
+        throw new Error(`${data.message} (${Math.ceil(retryAfter / 60000)} min)`);
+      }
       if (!response.ok) {
         throw new Error(data.message || 'Authentication failed');
       }
       
-      // Save to session
-      sessionManager.setSession(data.token);
-      
+      // The server set the session cookie
       // Redirect to uploader page
       router.push('/uploader');
     } catch (error) {
@@ -55,55 +79,97 @@ const AccessForm = () => {
             S3 File Uploader
           </h1>
           <p className="text-gray-600 dark:text-gray-300">
-            Enter the secret key to access the uploader
+            Sign in to access the uploader
           </p>
         </div>
         
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div>
-            <label 
-              htmlFor="secretKey" 
-              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
-            >
-              Secret Key
-            </label>
-            <input
-              type="password"
-              id="secretKey"
-              value={secretKey}
-              onChange={(e) => setSecretKey(e.target.value)}
-              placeholder="Enter your secret key"
-              className="input w-full"
-              autoComplete="off"
-              disabled={isLoading}
-            />
-            {error && (
-              <p className="mt-2 text-sm text-error">{error}</p>
-            )}
-          </div>
-          
+        {signInOptions.sso && (
           <button
-            type="submit"
+            type="button"
+            onClick={handleSingleSignOn}
             className={`w-full ${isLoading ? 'btn-disabled' : 'btn-primary'} btn`}
             disabled={isLoading}
           >
-            {isLoading ? (
-              <span className="flex items-center justify-center">
-                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                Verifying...
-              </span>
-            ) : (
-              'Access Uploader'
-            )}
+            Sign in with {signInOptions.sso.label}
           </button>
-        </form>
+        )}
+
+        {signInOptions.sso && signInOptions.password && (
+          <div className="my-6 text-center text-sm text-gray-500 dark:text-gray-400">or</div>
+        )}
+
+        {!signInOptions.password && error && (
+          <p className="mt-4 text-sm text-error">{error}</p>
+        )}
+
+        {signInOptions.password && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label 
+                htmlFor="username" 
+                className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+              >
+                Username
+              </label>
+              <input
+                type="text"
+                id="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Enter your username"
+                className="input w-full"
+                autoComplete="username"
+                disabled={isLoading}
+              />
+            </div>
+
+            <div>
+              <label 
+                htmlFor="password" 
+                className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+              >
+                Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter your password"
+                className="input w-full"
+                autoComplete="current-password"
+                disabled={isLoading}
+              />
+              {error && (
+                <p className="mt-2 text-sm text-error">{error}</p>
+              )}
+            </div>
+          
+            <button
+              type="submit"
+              className={`w-full ${isLoading ? 'btn-disabled' : 'btn-primary'} btn`}
+              disabled={isLoading}
+            >
+              {isLoading ? (
+                <span className="flex items-center justify-center">
+                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Verifying...
+                </span>
+              ) : (
+                'Access Uploader'
+              )}
+            </button>
+          </form>
+        )}
       </div>
       
       <p className="mt-8 text-sm text-gray-500 dark:text-gray-400">
-        No account required. Only authorized users with the correct key can access.
+        {signInOptions.sso
+          ? 'Single sign-on accounts are created on first sign-in.'
+          : 'Accounts are created by an administrator.'}
       </p>
     </div>
   );
@@ -0,0 +1,206 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const SCOPES = [
+  { id: 'upload', label: 'Upload' },
+  { id: 'list', label: 'List' },
+  { id: 'delete', label: 'Delete' },
+];
+
+const formatDate = (isoDate) => isoDate ? new Date(isoDate).toLocaleString() : 'Never';
+
+// The signed-in user's API keys, for scripts that upload with an Authorization header
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(SCOPES.map(scope => scope.id));
+  const [expiresAt, setExpiresAt] = useState('');
+  const [createdKey, setCreatedKey] = useState(null);
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const response = await fetch('/api/keys');
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || result.message || 'Failed to load API keys');
+      }
+      setApiKeys(result.apiKeys);
+    } catch (loadError) {
+      console.error('Error loading API keys:', loadError);
+      setError(loadError.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const toggleScope = (scope) => {
+    setScopes(current => current.includes(scope)
+      ? current.filter(id => id !== scope)
+      : [...current, scope]);
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setIsBusy(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/keys', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name,
+          scopes,
+          // Keys expire at the end of the chosen day
+          expiresAt: expiresAt ? new Date(`${expiresAt}T23:59:59`).toISOString() : null
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || result.message || 'Failed to create API key');
+      }
+
+      setCreatedKey(result.key);
+      setName('');
+      setExpiresAt('');
+      await loadKeys();
+    } catch (createError) {
+      setError(createError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke ${apiKey.name}? Scripts using it stop working immediately.`)) {
+      return;
+    }
+
+    setIsBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`/api/keys/${apiKey.id}`, { method: 'DELETE' });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || result.message || 'Failed to revoke API key');
+      }
+      await loadKeys();
+    } catch (revokeError) {
+      setError(revokeError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const labelClassName = 'block text-xs text-gray-500 dark:text-gray-400';
+  const inputClassName = 'mt-1 w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-2 py-1 text-sm text-gray-800 dark:text-gray-200';
+
+  return (
+    <div className="bg-secondary dark:bg-gray-800 rounded-lg p-4 space-y-3">
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">API Keys</h3>
+        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+          Send a key as <code>Authorization: Bearer &lt;key&gt;</code> to upload from scripts
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-error">{error}</p>}
+
+      {createdKey && (
+        <div className="rounded-md bg-white dark:bg-gray-700 p-3 text-sm">
+          <div className="text-gray-700 dark:text-gray-300 mb-1">Copy this key now; it is not shown again:</div>
+          <code className="block break-all text-gray-900 dark:text-white">{createdKey}</code>
+          <button
+            type="button"
+            onClick={() => setCreatedKey(null)}
+            className="mt-2 text-xs text-primary hover:text-primary-dark dark:text-primary-light"
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+        <label className={labelClassName}>
+          Name
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Build server"
+            className={inputClassName}
+          />
+        </label>
+
+        <div className={labelClassName}>
+          Scopes
+          <div className="mt-2 flex gap-3">
+            {SCOPES.map(scope => (
+              <label key={scope.id} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope.id)}
+                  onChange={() => toggleScope(scope.id)}
+                />
+                {scope.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <label className={labelClassName}>
+          Expires (optional)
+          <input
+            type="date"
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+
+        <button
+          type="submit"
+          disabled={isBusy || !name.trim() || scopes.length === 0}
+          className="btn btn-primary disabled:opacity-50"
+        >
+          Create Key
+        </button>
+      </form>
+
+      {apiKeys.length > 0 && (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {apiKeys.map(apiKey => (
+            <li key={apiKey.id} className="flex flex-wrap justify-between items-center gap-4 py-2 text-sm">
+              <div>
+                <div className="text-gray-900 dark:text-white">
+                  {apiKey.name} <code className="ml-1 text-xs text-gray-500">{apiKey.hint}</code>
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">
+                  {apiKey.scopes.join(', ')} &middot; expires {formatDate(apiKey.expiresAt)} &middot; last used {formatDate(apiKey.lastUsedAt)}
+                </div>
+              </div>
+              <button
+                type="button"
+                disabled={isBusy}
+                onClick={() => handleRevoke(apiKey)}
+                className="text-xs text-error hover:underline disabled:opacity-50"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -11,7 +11,7 @@ const DropZone = () => {
   // Handle dropped files
   const onDrop = useCallback(async (acceptedFiles) => {
     if (acceptedFiles.length > 0) {
-      prepareFiles(acceptedFiles);
+      await prepareFiles(acceptedFiles);
     }
   }, [prepareFiles]);
 
@@ -25,6 +25,31 @@ const DropZone = () => {
     noKeyboard: true,
   });
 
+  // Handle file selection. The File System Access API also hands out file handles, which are
+  // stored with the upload queue so unfinished uploads can be re-attached after a reload.
+  const handleFileSelect = async () => {
+    if (!('showOpenFilePicker' in window)) {
+      open();
+      return;
+    }
+
+    try {
+      const handles = await window.showOpenFilePicker({
+        id: 's3-uploader-files',
+        multiple: true,
+      });
+      const files = await Promise.all(handles.map(handle => handle.getFile()));
+
+      await prepareFiles(files, handles);
+    } catch (error) {
+      // If user canceled, don't fall back to the regular picker
+      if (error.name !== 'AbortError') {
+        console.error('Error selecting files:', error);
+        open();
+      }
+    }
+  };
+
   // Handle folder selection
   const handleFolderSelect = async () => {
     try {
@@ -98,7 +123,7 @@ const DropZone = () => {
 
         <div>
           <h3 className="text-lg font-medium text-gray-700 dark:text-gray-200">
-            Drop files here or <button onClick={open} className="text-primary hover:underline">browse</button>
+            Drop files here or <button onClick={handleFileSelect} className="text-primary hover:underline">browse</button>
           </h3>
           <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
             Support for multiple files. Any file type accepted.
@@ -110,7 +135,7 @@ const DropZone = () => {
             type="button"
             onClick={(e) => {
               e.stopPropagation();
-              open();
+              handleFileSelect();
             }}
             className="btn btn-primary px-6"
           >
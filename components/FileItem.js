@@ -111,7 +111,18 @@ const FileItem = ({ file }) => {
         return <div className="p-3 text-error">Invalid file data</div>;
     }
 
-    const { removeFile, cancelUpload, updateFileStatus, uploadProgress } = useUploader();
+    const {
+        removeFile,
+        cancelUpload,
+        pauseUpload,
+        resumeUpload,
+        updateFileStatus,
+        uploadProgress,
+        queuePositions
+    } = useUploader();
+
+    // Position in the upload queue while waiting for a slot
+    const queuePosition = queuePositions?.[file.id] || null;
 
     // Get proper progress value with better error handling
     const progress = useMemo(() => {
@@ -150,7 +161,7 @@ const FileItem = ({ file }) => {
     // Handle retry of failed upload
     const handleRetry = () => {
         if (file?.id) {
-            updateFileStatus(file.id, FILE_STATUS.PENDING, 0);
+            updateFileStatus(file.id, FILE_STATUS.PENDING);
         }
     };
 
@@ -158,7 +169,8 @@ const FileItem = ({ file }) => {
     const handleRemove = () => {
         if (!file?.id) return;
         
-        if (file.status === FILE_STATUS.UPLOADING) {
+        // Paused uploads still hold a session on the server
+        if ([FILE_STATUS.UPLOADING, FILE_STATUS.PAUSED].includes(file.status)) {
             cancelUpload(file.id);
         }
         removeFile(file.id);
@@ -184,9 +196,20 @@ const FileItem = ({ file }) => {
                     {displayName}
                 </div>
 
-                {/* File size */}
+                {/* File size, queue position and deduplication state */}
                 <div className="text-xs text-gray-500 dark:text-gray-400">
                     {formatFileSize(fileSize)}
+                    {queuePosition && <span> &middot; #{queuePosition} in queue</span>}
+                    {typeof file.hashProgress === 'number' && (
+                        <span> &middot; Checking for an identical upload ({file.hashProgress}%)</span>
+                    )}
+                    {file.deduplicated && <span> &middot; Already uploaded, not sent again</span>}
+                    {file.background && file.status !== FILE_STATUS.COMPLETED && (
+                        <span> &middot; Continues if this tab is closed</span>
+                    )}
+                    {(file.remote || file.handedOver) && !file.background && file.status !== FILE_STATUS.COMPLETED && (
+                        <span> &middot; Uploading in another tab</span>
+                    )}
                 </div>
 
                 {/* Progress bar */}
@@ -232,6 +255,32 @@ const FileItem = ({ file }) => {
                     </button>
                 )}
 
+                {file.status === FILE_STATUS.UPLOADING && (
+                    <button
+                        type="button"
+                        onClick={() => pauseUpload(file.id)}
+                        className="p-1 text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full"
+                        title="Pause upload"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6" />
+                        </svg>
+                    </button>
+                )}
+
+                {file.status === FILE_STATUS.PAUSED && (
+                    <button
+                        type="button"
+                        onClick={() => resumeUpload(file.id)}
+                        className="p-1 text-primary hover:bg-primary/10 rounded-full"
+                        title="Resume upload"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
+                        </svg>
+                    </button>
+                )}
+
                 <button
                     type="button"
                     onClick={handleRemove}
@@ -240,7 +289,7 @@ const FileItem = ({ file }) => {
                             ? 'text-gray-400 cursor-not-allowed'
                             : 'text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700'
                         }`}
-                    title={file.status === FILE_STATUS.UPLOADING ? 'Cancel upload' : 'Remove'}
+                    title={[FILE_STATUS.UPLOADING, FILE_STATUS.PAUSED].includes(file.status) ? 'Cancel upload' : 'Remove'}
                 >
                     <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -9,7 +9,10 @@ const FileList = () => {
     isUploading, 
     startUpload,
     cancelAllUploads,
-    retryFailedUploads
+    retryFailedUploads,
+    pauseAll,
+    resumeAll,
+    uploadAllowed
   } = useUploader();
   
   // Calculate stats for selected files
@@ -19,6 +22,7 @@ const FileList = () => {
     const totalSize = selectedFiles.reduce((total, file) => total + file.size, 0);
     const pendingCount = selectedFiles.filter(file => file.status === FILE_STATUS.PENDING).length;
     const uploadingCount = selectedFiles.filter(file => file.status === FILE_STATUS.UPLOADING).length;
+    const pausedCount = selectedFiles.filter(file => file.status === FILE_STATUS.PAUSED).length;
     const completedCount = selectedFiles.filter(file => file.status === FILE_STATUS.COMPLETED).length;
     const failedCount = selectedFiles.filter(file => file.status === FILE_STATUS.FAILED).length;
     
@@ -26,6 +30,7 @@ const FileList = () => {
       totalSize,
       pendingCount,
       uploadingCount,
+      pausedCount,
       completedCount,
       failedCount,
     };
@@ -51,6 +56,11 @@ const FileList = () => {
   const canClear = useMemo(() => {
     return !isUploading && selectedFiles.length > 0;
   }, [isUploading, selectedFiles]);
+
+  // Paused uploads can be resumed while others are still running
+  const canResume = useMemo(() => {
+    return stats?.pausedCount > 0;
+  }, [stats]);
   
   // Determine if retry button should be shown
   const showRetry = useMemo(() => {
@@ -74,6 +84,7 @@ const FileList = () => {
             <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Selected Files</h3>
             <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
               {selectedFiles.length} files ({formatTotalSize(stats?.totalSize || 0)})
+              {isUploading && !uploadAllowed && <span> &middot; Waiting for the upload schedule</span>}
             </div>
             <div className="flex flex-wrap gap-2 mt-2 text-xs">
               {stats?.pendingCount > 0 && (
@@ -86,6 +97,11 @@ const FileList = () => {
                   {stats.uploadingCount} uploading
                 </span>
               )}
+              {stats?.pausedCount > 0 && (
+                <span className="px-2 py-0.5 rounded-full bg-blue-500/10 text-blue-500">
+                  {stats.pausedCount} paused
+                </span>
+              )}
               {stats?.completedCount > 0 && (
                 <span className="px-2 py-0.5 rounded-full bg-success/10 text-success">
                   {stats.completedCount} completed
@@ -111,6 +127,27 @@ const FileList = () => {
               </button>
             )}
             
+            {isUploading && (
+              <button
+                type="button"
+                onClick={pauseAll}
+                disabled={!stats?.uploadingCount}
+                className={`btn ${!stats?.uploadingCount ? 'btn-disabled' : 'btn-secondary'} text-sm py-1.5`}
+              >
+                Pause All
+              </button>
+            )}
+
+            {canResume && (
+              <button
+                type="button"
+                onClick={resumeAll}
+                className="btn btn-secondary text-sm py-1.5"
+              >
+                Resume All
+              </button>
+            )}
+            
             <button
               type="button"
               onClick={isUploading ? cancelAllUploads : startUpload}
@@ -123,7 +160,7 @@ const FileList = () => {
                     : 'btn-primary'
               } text-sm py-1.5`}
             >
-              {isUploading ? 'Cancel Uploads' : 'Upload Files'}
+              {isUploading ? 'Cancel Uploads' : uploadAllowed ? 'Upload Files' : 'Upload When Scheduled'}
             </button>
             
             <button
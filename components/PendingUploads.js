@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { useUploader, ATTACH_ERRORS } from '../contexts/UploaderContext';
+
+// Explain why a pending upload could not be put back into the selection
+const getAttachErrorMessage = (attachError) => {
+  switch (attachError) {
+    case ATTACH_ERRORS.NO_HANDLE:
+      return 'Select this file again to resume it';
+    case ATTACH_ERRORS.PERMISSION_DENIED:
+      return 'Permission to read the file was denied';
+    case ATTACH_ERRORS.NOT_FOUND:
+      return 'The file was moved or deleted';
+    case ATTACH_ERRORS.MODIFIED:
+      return 'The file changed since the upload started';
+    default:
+      return null;
+  }
+};
+
+// Format size
+const formatSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const PendingUploads = () => {
+  const { pendingUploads, resumePendingUploads, discardPendingUpload } = useUploader();
+  const [isResuming, setIsResuming] = useState(false);
+
+  if (pendingUploads.length === 0) {
+    return null;
+  }
+
+  const attachableCount = pendingUploads.filter(entry => !entry.attachError).length;
+
+  const handleResume = async () => {
+    setIsResuming(true);
+    try {
+      await resumePendingUploads();
+    } finally {
+      setIsResuming(false);
+    }
+  };
+
+  return (
+    <div className="bg-secondary dark:bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Unfinished Uploads</h3>
+          <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            {pendingUploads.length} uploads from a previous session did not finish
+          </div>
+        </div>
+
+        <button
+          type="button"
+          onClick={handleResume}
+          disabled={isResuming || attachableCount === 0}
+          className={`btn ${isResuming || attachableCount === 0 ? 'btn-disabled' : 'btn-primary'} text-sm py-1.5`}
+        >
+          {isResuming ? 'Resuming...' : 'Resume pending uploads'}
+        </button>
+      </div>
+
+      <ul className="space-y-2 max-h-[240px] overflow-y-auto pr-2">
+        {pendingUploads.map((entry) => (
+          <li
+            key={entry.fileId}
+            className="flex justify-between items-center gap-4 bg-white dark:bg-gray-700 rounded-md px-3 py-2"
+          >
+            <div className="min-w-0">
+              <div className="text-sm text-gray-800 dark:text-gray-200 truncate" title={entry.fileName}>
+                {entry.fileName}
+              </div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                {formatSize(entry.fileSize)} &middot; {entry.progress}% uploaded
+              </div>
+              {entry.attachError && (
+                <div className="text-xs text-error mt-0.5">
+                  {getAttachErrorMessage(entry.attachError)}
+                </div>
+              )}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => discardPendingUpload(entry.fileId)}
+              className="text-xs text-gray-500 hover:text-error dark:text-gray-400"
+            >
+              Discard
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PendingUploads;
@@ -0,0 +1,87 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+// Format size
+const formatSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Files already in storage, listed by /api/files
+const StoredFiles = () => {
+  const [files, setFiles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadFiles = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/files?limit=50');
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || result.message || 'Failed to list files');
+      }
+      setFiles(result.files);
+    } catch (loadError) {
+      console.error('Error listing stored files:', loadError);
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFiles();
+  }, [loadFiles]);
+
+  return (
+    <div className="bg-secondary dark:bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex justify-between items-center gap-4">
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Stored Files</h3>
+        <button
+          type="button"
+          onClick={loadFiles}
+          disabled={isLoading}
+          className="text-sm text-primary hover:text-primary-dark dark:text-primary-light disabled:opacity-50"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-error">{error}</p>}
+
+      {!error && !isLoading && files.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No files stored yet</p>
+      )}
+
+      {files.length > 0 && (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {files.map(file => (
+            <li key={file.key} className="flex justify-between items-center gap-4 py-2 text-sm">
+              <a
+                href={file.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="truncate text-primary hover:underline dark:text-primary-light"
+              >
+                {file.key}
+              </a>
+              <span className="shrink-0 text-xs text-gray-500 dark:text-gray-400">
+                {formatSize(file.size)} &middot; {new Date(file.lastModified).toLocaleString()}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StoredFiles;
@@ -0,0 +1,110 @@
+import React, { useMemo } from 'react';
+import { useUploader } from '../contexts/UploaderContext';
+import { getNextUploadTime } from '../lib/uploadLimits';
+
+// Rates are edited in KB/s and stored in bytes per second
+const KILOBYTE = 1024;
+
+// Value of a datetime-local input (local time, minutes) for an ISO date
+const toLocalInputValue = (isoDate) => {
+  if (!isoDate) return '';
+
+  const date = new Date(isoDate);
+  const offset = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const UploadLimits = () => {
+  const { uploadLimits, setUploadLimits, uploadAllowed } = useUploader();
+
+  const updateLimits = (changes) => {
+    setUploadLimits({ ...uploadLimits, ...changes });
+  };
+
+  const handleRateChange = (field) => (event) => {
+    const kilobytes = parseFloat(event.target.value);
+    updateLimits({ [field]: kilobytes > 0 ? Math.round(kilobytes * KILOBYTE) : 0 });
+  };
+
+  // When queued uploads will start, while the schedule holds them
+  const nextUploadTime = useMemo(() => {
+    return uploadAllowed ? null : getNextUploadTime(uploadLimits);
+  }, [uploadAllowed, uploadLimits]);
+
+  const inputClassName = 'mt-1 w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-2 py-1 text-sm text-gray-800 dark:text-gray-200';
+  const labelClassName = 'block text-xs text-gray-500 dark:text-gray-400';
+
+  return (
+    <div className="bg-secondary dark:bg-gray-800 rounded-lg p-4 space-y-3">
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Bandwidth &amp; Schedule</h3>
+        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+          {nextUploadTime
+            ? `Queued uploads wait until ${nextUploadTime.toLocaleString()}`
+            : 'Leave a limit empty to upload at full speed'}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <label className={labelClassName}>
+          Total limit (KB/s)
+          <input
+            type="number"
+            min="0"
+            placeholder="Unlimited"
+            value={uploadLimits.totalRate ? uploadLimits.totalRate / KILOBYTE : ''}
+            onChange={handleRateChange('totalRate')}
+            className={inputClassName}
+          />
+        </label>
+
+        <label className={labelClassName}>
+          Limit per file (KB/s)
+          <input
+            type="number"
+            min="0"
+            placeholder="Unlimited"
+            value={uploadLimits.fileRate ? uploadLimits.fileRate / KILOBYTE : ''}
+            onChange={handleRateChange('fileRate')}
+            className={inputClassName}
+          />
+        </label>
+
+        <label className={labelClassName}>
+          Start uploads at
+          <input
+            type="datetime-local"
+            value={toLocalInputValue(uploadLimits.startAt)}
+            onChange={(event) => updateLimits({
+              startAt: event.target.value ? new Date(event.target.value).toISOString() : null
+            })}
+            className={inputClassName}
+          />
+        </label>
+
+        <div className={labelClassName}>
+          Only upload between
+          <div className="flex items-center gap-2">
+            <input
+              type="time"
+              aria-label="Upload window start"
+              value={uploadLimits.windowStart || ''}
+              onChange={(event) => updateLimits({ windowStart: event.target.value || null })}
+              className={inputClassName}
+            />
+            <span className="mt-1">and</span>
+            <input
+              type="time"
+              aria-label="Upload window end"
+              value={uploadLimits.windowEnd || ''}
+              onChange={(event) => updateLimits({ windowEnd: event.target.value || null })}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadLimits;
@@ -38,6 +38,18 @@ const getCloudIcon = (provider) => {
         <path d="M15.67 7.813l-.213.434c.58-.144 1.63.215 1.63 1.302 0 .5-.311.993-.76 1.357l.434-.17c.5-.391.707-.954.707-1.439-.002-.397-.157-1.347-1.798-1.484zm-.191.17c.408 0 .814.116 1.145.338-.231-.032-1.03-.041-1.5.695-.071.11-.075.318-.027.471.109.359.41.609.782.632.33.019.573-.059.762-.16-.183.207-.457.327-.762.345-.5 0-.993-.301-1.2-.785-.135-.332-.135-.67.049-.964.243-.426.662-.572 1.086-.572h.665zm-.086.514c-.2 0-.394.104-.508.284-.155.242-.108.498.047.75.19.359.547.583.953.583.017-.5.207.029 0 0 .136-.08.035-.005 0 0-.5.064-.071.064-.136.064-.324 0-.993-.32-.993-1.004 0-.324.24-.677.602-.677.365 0 .5.338.5.338v.188c0 .002.108-.526-.465-.526zm1.936 1.27l-.351.136c.313.07.565.391.565.756s-.252.69-.565.751l.351.14c.391-.17.622-.537.622-.891 0-.36-.238-.72-.622-.892zm-1.366.1h-.161v1.562h.161zm1.558.247c-.149 0-.27.121-.27.271 0 .149.121.27.27.27s.27-.121.27-.27c0-.15-.121-.271-.27-.271zm-1.559.126h.189v.982h-.189zm1.559.019c-.072 0-.131.059-.131.131 0 .071.059.13.131.13.071 0 .131-.059.131-.13 0-.072-.06-.131-.131-.131zm-2.589.038h-.184v.984h.184z" />
       </svg>
     );
+  } else if (provider === 'azure') {
+    return (
+      <svg className="w-6 h-6" viewBox="0 0 24 24" fill="currentColor">
+        <path d="M5.483 21.3H24L14.025 4.013l-3.038 8.347 5.836 6.938L5.483 21.3zM13.049 2.7L6.164 8.524 0 19.3h5.553l7.496-16.6z" />
+      </svg>
+    );
+  } else if (provider === 'local') {
+    return (
+      <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01" />
+      </svg>
+    );
   } else {
     return (
       <svg className="w-6 h-6" viewBox="0 0 24 24" fill="currentColor">
@@ -53,6 +65,10 @@ const getCloudProviderName = (provider) => {
     return 'Amazon S3';
   } else if (provider === 'gcp') {
     return 'Google Cloud Storage';
+  } else if (provider === 'azure') {
+    return 'Azure Blob Storage';
+  } else if (provider === 'local') {
+    return 'Local Storage';
   } else {
     return 'Cloud Storage';
   }
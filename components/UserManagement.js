@@ -0,0 +1,177 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const ROLES = ['viewer', 'uploader', 'admin'];
+
+// Send a request to the users API and resolve its JSON, throwing its error message on failure
+const requestUsers = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+  const result = await response.json();
+
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || result.message || 'Request failed');
+  }
+  return result;
+};
+
+// Admin list of user accounts: create users, change their role or password, disable them, sign
+// them out everywhere and delete them
+const UserManagement = ({ currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'uploader' });
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const result = await requestUsers('/api/users');
+      setUsers(result.users);
+    } catch (loadError) {
+      console.error('Error loading users:', loadError);
+      setError(loadError.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // Run a change, then reload the list
+  const runChange = async (change) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      await change();
+      await loadUsers();
+    } catch (changeError) {
+      setError(changeError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const updateUser = (user, changes) => runChange(() => requestUsers(`/api/users/${user.id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  }));
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    runChange(async () => {
+      await requestUsers('/api/users', {
+        method: 'POST',
+        body: JSON.stringify(newUser),
+      });
+      setNewUser({ username: '', password: '', role: 'uploader' });
+    });
+  };
+
+  const handleResetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username}`);
+    if (password) {
+      updateUser(user, { password });
+    }
+  };
+
+  const handleDelete = (user) => {
+    if (window.confirm(`Delete ${user.username}? They are signed out immediately.`)) {
+      runChange(() => requestUsers(`/api/users/${user.id}`, { method: 'DELETE' }));
+    }
+  };
+
+  const buttonClassName = 'text-xs text-primary hover:text-primary-dark dark:text-primary-light disabled:opacity-50';
+
+  return (
+    <div className="space-y-6">
+      {error && <p className="text-sm text-error">{error}</p>}
+
+      <form onSubmit={handleCreate} className="bg-secondary dark:bg-gray-800 rounded-lg p-4 grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+        <input
+          type="text"
+          aria-label="Username"
+          placeholder="Username"
+          value={newUser.username}
+          onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+          className="input w-full"
+          autoComplete="off"
+        />
+        <input
+          type="password"
+          aria-label="Password"
+          placeholder="Password (8+ characters)"
+          value={newUser.password}
+          onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+          className="input w-full"
+          autoComplete="new-password"
+        />
+        <select
+          aria-label="Role"
+          value={newUser.role}
+          onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+          className="input w-full"
+        >
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <button
+          type="submit"
+          disabled={isBusy || !newUser.username || !newUser.password}
+          className="btn btn-primary disabled:opacity-50"
+        >
+          Add User
+        </button>
+      </form>
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700 bg-white dark:bg-gray-800 rounded-lg shadow">
+        {users.map(user => (
+          <li key={user.id} className="flex flex-wrap justify-between items-center gap-4 p-4">
+            <div>
+              <div className="text-sm font-medium text-gray-900 dark:text-white">
+                {user.username}
+                {user.id === currentUser.id && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                {user.disabled && <span className="ml-2 text-xs text-error">disabled</span>}
+                {user.oidcSubject && <span className="ml-2 text-xs text-gray-500">SSO</span>}
+              </div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                Created {new Date(user.createdAt).toLocaleDateString()}
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4">
+              <select
+                aria-label={`Role of ${user.username}`}
+                value={user.role}
+                disabled={isBusy}
+                onChange={(e) => updateUser(user, { role: e.target.value })}
+                className="input text-sm"
+              >
+                {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+              {!user.oidcSubject && (
+                <button type="button" disabled={isBusy} onClick={() => handleResetPassword(user)} className={buttonClassName}>
+                  Reset password
+                </button>
+              )}
+              <button type="button" disabled={isBusy} onClick={() => updateUser(user, { revokeSessions: true })} className={buttonClassName}>
+                Sign out everywhere
+              </button>
+              <button type="button" disabled={isBusy} onClick={() => updateUser(user, { disabled: !user.disabled })} className={buttonClassName}>
+                {user.disabled ? 'Enable' : 'Disable'}
+              </button>
+              {user.id !== currentUser.id && (
+                <button type="button" disabled={isBusy} onClick={() => handleDelete(user)} className="text-xs text-error hover:underline disabled:opacity-50">
+                  Delete
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default UserManagement;
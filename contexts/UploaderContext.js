@@ -1,6 +1,21 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { v4 as uuidv4 } from 'uuid';
-import { uploadQueueService, uploadHistoryService, statsManager } from '../lib/db';
+import { uploadQueueService, uploadHistoryService, statsManager, uploadLimitsManager, DEFAULT_UPLOAD_LIMITS } from '../lib/db';
+import { createPartUrlResolver, keepRecordedCrc32c, putChunkDirect } from '../lib/directUpload';
+import { createUploadScheduler } from '../lib/uploadScheduler';
+import { DEFAULT_RETRY_OPTIONS, createResponseError, fetchWithRetryAfter, withRetry } from '../lib/retry';
+import { CHECKSUM_ALGORITHM, canComputeChecksums, getCompositeChecksum } from '../lib/chunkChecksum';
+import { canHashContent, hashFileContent } from '../lib/contentHash';
+import { prepareChunk, terminateChunkWorkers } from '../lib/chunkWorkers';
+import {
+  canUploadInBackground,
+  handOverUploads,
+  postToUploadEngine,
+  subscribeToUploadEngine,
+  watchBackgroundFetch
+} from '../lib/backgroundUploads';
+import { canCoordinateTabs, createTabCoordinator } from '../lib/tabCoordinator';
+import { createRateLimiter, throttle, isUploadAllowed } from '../lib/uploadLimits';
 
 // Create context
 const UploaderContext = createContext();
@@ -18,6 +33,163 @@ export const FILE_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+// Default chunk size for new uploads (5MB); resumed uploads keep the size they started with
+const CHUNK_SIZE = 5 * 1024 * 1024;
+
+// Once chunk timings have been measured, new uploads ask for chunks that take about this long,
+// within the preferred bounds below. The server still raises the size to fit the provider's part
+// limits (S3 parts are at least 5MB) and records it in the upload session.
+const TARGET_CHUNK_SECONDS = 5;
+const MIN_PREFERRED_CHUNK_SIZE = 1024 * 1024;
+const MAX_PREFERRED_CHUNK_SIZE = 128 * 1024 * 1024;
+
+// Weight of the newest chunk in the throughput average
+const THROUGHPUT_SMOOTHING = 0.3;
+
+// Chunk size to ask for, from the average throughput of one chunk request (bytes per second)
+const getPreferredChunkSize = (bytesPerSecond) => {
+  if (!bytesPerSecond) {
+    return CHUNK_SIZE;
+  }
+
+  // Whole MiB keep the size a multiple of every provider's part size multiple
+  const mebibyte = 1024 * 1024;
+  const size = Math.round((bytesPerSecond * TARGET_CHUNK_SECONDS) / mebibyte) * mebibyte;
+  return Math.min(Math.max(size, MIN_PREFERRED_CHUNK_SIZE), MAX_PREFERRED_CHUNK_SIZE);
+};
+
+// How often the upload schedule is checked (ms)
+const SCHEDULE_CHECK_INTERVAL = 15 * 1000;
+
+// Default number of parts of one file in flight at once
+const PART_CONCURRENCY = 4;
+
+// Ask the server which parts of an interrupted upload storage already holds.
+// Resolves null when the file has no earlier session or the server no longer knows it.
+const requestResume = async (fileId) => {
+  const saved = await uploadQueueService.getByFileId(fileId);
+  if (!saved?.fileKey) {
+    return null;
+  }
+
+  try {
+    const response = await fetchWithRetryAfter('/api/upload-chunk', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        action: 'resume',
+        fileId
+      }),
+    });
+
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      return null;
+    }
+
+    return {
+      ...result,
+      parts: keepRecordedCrc32c(result.parts, saved.completedParts),
+      chunkSize: result.chunkSize || saved.chunkSize || CHUNK_SIZE
+    };
+  } catch (error) {
+    console.warn('Could not resume upload, starting over:', error);
+    return null;
+  }
+};
+
+// Ask the server for an object already stored with the same content; resolves { key, url } or null
+const findStoredContent = async (fileId, contentHash, fileSize) => {
+  try {
+    const response = await fetchWithRetryAfter('/api/upload-chunk', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        action: 'lookup',
+        fileId,
+        contentHash,
+        fileSize
+      }),
+    });
+
+    const result = await response.json();
+    return response.ok && result.success && result.exists ? result : null;
+  } catch (error) {
+    console.warn('Could not look up identical uploads, uploading:', error);
+    return null;
+  }
+};
+
+// Why a queued upload from an earlier visit could not be put back into the selection
+export const ATTACH_ERRORS = {
+  NO_HANDLE: 'no-handle',
+  PERMISSION_DENIED: 'permission-denied',
+  NOT_FOUND: 'not-found',
+  MODIFIED: 'modified',
+};
+
+// Build a selected-file entry around a File object
+const createSelectedFile = (file, { id = uuidv4(), handle = null, progress = 0, retryCount = 0 } = {}) => ({
+  id,
+  name: file.name,         // Explicitly copy the name
+  size: file.size,         // Explicitly copy the size
+  type: file.type,         // Explicitly copy the type
+  lastModified: file.lastModified,
+  status: FILE_STATUS.PENDING,
+  progress,
+  error: null,
+  retryCount,
+  addedAt: new Date().toISOString(),
+  // Store the original file for upload operations
+  file: file,  // Keep the original File object for uploading
+  // FileSystemFileHandle the file came from, stored with the queue entry to re-attach it after a reload
+  handle
+});
+
+// Progress of a queue entry from the parts it already uploaded
+const getQueuedProgress = (entry) => {
+  return entry?.totalChunks
+    ? Math.floor(((entry.completedParts || []).length / entry.totalChunks) * 100)
+    : 0;
+};
+
+// Fields of a selected file shared with other tabs; File objects and handles stay in their tab
+const toSharedFile = ({ id, name, size, type, lastModified, status, progress, error, retryCount, addedAt, hashProgress, deduplicated, background }) => ({
+  id,
+  name,
+  size,
+  type,
+  lastModified,
+  status,
+  progress,
+  error,
+  retryCount,
+  addedAt,
+  hashProgress,
+  deduplicated,
+  background
+});
+
+// A selected file as sent to the leader tab: with its File, or only its id when the leader runs it
+const toTransferredFile = (file) => {
+  if (file.remote) {
+    return { id: file.id };
+  }
+
+  return {
+    id: file.id,
+    file: file.file,
+    handle: file.handle,
+    progress: file.progress,
+    retryCount: file.retryCount,
+    status: file.status
+  };
+};
+
 // Provider component
 export const UploaderProvider = ({ children }) => {
   // States
@@ -34,7 +206,121 @@ export const UploaderProvider = ({ children }) => {
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState({});
   const [uploadConcurrency, setUploadConcurrency] = useState(3);
+  const [partConcurrency, setPartConcurrency] = useState(PART_CONCURRENCY);
+  const [retryOptions, setRetryOptions] = useState(DEFAULT_RETRY_OPTIONS);
+  // Hash new uploads and skip those whose content storage already holds
+  const [dedupeUploads, setDedupeUploads] = useState(false);
+  // Hand new uploads to the service worker engine, which keeps going after the tab is closed
+  const [backgroundUploads, setBackgroundUploads] = useState(false);
   const [cloudProvider, setCloudProvider] = useState('aws');
+  const [attachErrors, setAttachErrors] = useState({});
+  // Ids of files waiting for an upload slot, in queue order
+  const [waitingFileIds, setWaitingFileIds] = useState([]);
+  // Whether this tab runs uploads; other tabs hand theirs to the leader (see lib/tabCoordinator.js)
+  const [isLeader, setIsLeader] = useState(true);
+  // Rate limits and schedule (see lib/uploadLimits.js), saved with the other preferences
+  const [uploadLimits, setUploadLimitsState] = useState(DEFAULT_UPLOAD_LIMITS);
+  // Whether the schedule lets uploads run right now
+  const [uploadAllowed, setUploadAllowed] = useState(true);
+
+  // Latest selection, read by running uploads between chunks
+  const selectedFilesRef = useRef(selectedFiles);
+  // fileId -> pause token for uploads asked to stop after their in-flight chunk. Every pause gets a
+  // new token and a resume drops it, so a pause that completes after the file was resumed is ignored.
+  const uploadControlsRef = useRef(new Map());
+  // Average throughput of one chunk request in bytes per second, measured while uploading
+  const throughputRef = useRef(null);
+  // Latest concurrency and upload function, read by the scheduler whenever it starts a file
+  const uploadConcurrencyRef = useRef(uploadConcurrency);
+  const uploadTaskRef = useRef(null);
+  // Coordinator shared with the other open tabs, and the latest handlers of its events
+  const coordinatorRef = useRef(null);
+  const tabMessageRef = useRef(null);
+  const tabLeadershipRef = useRef(null);
+  // Latest limits, read before every chunk, and the limiter all uploads share
+  const uploadLimitsRef = useRef(uploadLimits);
+  const uploadAllowedRef = useRef(uploadAllowed);
+  // Ids of uploads paused because the upload window closed, resumed when it opens again
+  const scheduledPausesRef = useRef(new Set());
+  const totalLimiterRef = useRef(null);
+  if (!totalLimiterRef.current) {
+    totalLimiterRef.current = createRateLimiter(() => uploadLimitsRef.current.totalRate);
+  }
+
+  // Upload pool shared by every run: starts the next waiting file as soon as a slot frees. Outside
+  // the upload schedule it starts none.
+  const schedulerRef = useRef(null);
+  if (!schedulerRef.current) {
+    schedulerRef.current = createUploadScheduler({
+      getConcurrency: () => uploadAllowedRef.current ? Math.max(1, uploadConcurrencyRef.current) : 0,
+      runTask: (file) => uploadTaskRef.current(file),
+      onChange: ({ waiting }) => setWaitingFileIds(waiting),
+      onIdle: () => setIsUploading(false)
+    });
+  }
+  const scheduler = schedulerRef.current;
+
+  useEffect(() => {
+    selectedFilesRef.current = selectedFiles;
+  }, [selectedFiles]);
+
+  // A new concurrency applies to the running queue as soon as it changes
+  useEffect(() => {
+    uploadConcurrencyRef.current = uploadConcurrency;
+    scheduler.refresh();
+  }, [uploadConcurrency, scheduler]);
+
+  useEffect(() => {
+    uploadLimitsRef.current = uploadLimits;
+  }, [uploadLimits]);
+
+  // Save new limits; they apply to the next chunk, in the background engine too
+  const setUploadLimits = useCallback((limits) => {
+    uploadLimitsManager.setLimits(limits);
+    setUploadLimitsState(limits);
+    if (canUploadInBackground()) {
+      uploadQueueService.setBackgroundLimits(limits);
+    }
+  }, []);
+
+  // Load the saved limits; limits saved in another tab apply here too
+  useEffect(() => {
+    setUploadLimitsState(uploadLimitsManager.getLimits());
+    return uploadLimitsManager.subscribe(setUploadLimitsState);
+  }, []);
+
+  // Check the schedule when it changes and then regularly
+  useEffect(() => {
+    const checkSchedule = () => setUploadAllowed(isUploadAllowed(uploadLimits));
+    checkSchedule();
+
+    const interval = setInterval(checkSchedule, SCHEDULE_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [uploadLimits]);
+
+  // Chunk workers start with the first upload and stop with the provider
+  useEffect(() => terminateChunkWorkers, []);
+
+  // Record files in the upload queue table so they survive a reload
+  const addToQueue = useCallback((files) => {
+    return uploadQueueService.addToQueue(
+      files.map(({ name, size, type, id, lastModified, handle }) => ({
+        name,
+        size,
+        type,
+        id,
+        lastModified,
+        handle
+      }))
+    );
+  }, []);
+
+  // Queue files for upload, recording them in the database first
+  const enqueueUploads = useCallback(async (files) => {
+    setIsUploading(true);
+    await addToQueue(files);
+    scheduler.enqueue(files);
+  }, [scheduler, addToQueue]);
 
   // Load stats and cloud provider info from local storage on mount
   useEffect(() => {
@@ -61,33 +347,30 @@ export const UploaderProvider = ({ children }) => {
     loadStats();
   }, []);
 
-  // Prepare files for upload (add to selection)
-  const prepareFiles = useCallback((files) => {
+  // Prepare files for upload (add to selection). `handles` optionally holds the
+  // FileSystemFileHandle of each file, in the same order.
+  const prepareFiles = useCallback(async (files, handles = []) => {
     // Convert FileList to array
     const fileArray = Array.from(files);
+    const selectedIds = selectedFiles.map(selected => selected.id);
 
     // Add unique ID to each file and prepare for tracking
-    const preparedFiles = fileArray.map(file => {
-      const fileId = uuidv4();
+    const preparedFiles = await Promise.all(fileArray.map(async (file, index) => {
+      // A file selected again after a reload or crash continues its unfinished upload. The stored
+      // queue is asked rather than the copy loaded on mount, which misses sessions started since.
+      const unfinished = await uploadQueueService.findResumable(file, { exclude: selectedIds });
 
       // FIX: Create a proper file object with all the necessary properties
       // Instead of spreading the file (which doesn't work correctly with File objects),
       // we explicitly copy the properties we need
-      return {
-        id: fileId,
-        name: file.name,         // Explicitly copy the name
-        size: file.size,         // Explicitly copy the size
-        type: file.type,         // Explicitly copy the type
-        lastModified: file.lastModified,
-        status: FILE_STATUS.PENDING,
-        progress: 0,
-        error: null,
-        retryCount: 0,
-        addedAt: new Date().toISOString(),
-        // Store the original file for upload operations
-        file: file  // Keep the original File object for uploading
-      };
-    });
+      return createSelectedFile(file, {
+        id: unfinished ? unfinished.fileId : uuidv4(),
+        // Files dropped in a secure context carry their handle (see file-selector)
+        handle: handles[index] || file.handle || null,
+        progress: getQueuedProgress(unfinished),
+        retryCount: unfinished ? unfinished.retryCount : 0
+      });
+    }));
 
     // Filter out duplicates based on name, size, and last modified date
     const newFiles = preparedFiles.filter(newFile => {
@@ -101,18 +384,39 @@ export const UploaderProvider = ({ children }) => {
     // Update selected files state
     setSelectedFiles(prevFiles => [...prevFiles, ...newFiles]);
 
+    // Files added while uploading join the running queue
+    if (!scheduler.isIdle() && newFiles.length > 0) {
+      enqueueUploads(newFiles).catch(error => console.error('Error queueing added files:', error));
+    }
+
     return newFiles;
-  }, [selectedFiles]);
+  }, [selectedFiles, scheduler, enqueueUploads]);
+
+  // Send a pause, resume, cancel or remove of an upload the leader tab runs to it. Returns false
+  // when this tab runs the upload itself.
+  const forwardToLeader = useCallback((action, fileId) => {
+    const coordinator = coordinatorRef.current;
+    const file = selectedFilesRef.current.find(f => f.id === fileId);
+    if (!coordinator || coordinator.isLeader() || !(file?.remote || file?.handedOver)) {
+      return false;
+    }
+
+    coordinator.post({ type: 'control', action, fileId });
+    return true;
+  }, []);
 
   // Remove file from selection
   const removeFile = useCallback((fileId) => {
+    forwardToLeader('remove', fileId);
+    scheduler.remove(fileId);
     setSelectedFiles(prevFiles => prevFiles.filter(file => file.id !== fileId));
-  }, []);
+  }, [scheduler, forwardToLeader]);
 
   // Clear all selected files
   const clearSelectedFiles = useCallback(() => {
+    scheduler.clear();
     setSelectedFiles([]);
-  }, []);
+  }, [scheduler]);
 
   // Update file status and progress
   const updateFileStatus = useCallback((fileId, status, progress = null, error = null) => {
@@ -124,7 +428,6 @@ export const UploaderProvider = ({ children }) => {
             status,
             progress: progress !== null ? progress : file.progress,
             error: error !== null ? error : file.error,
-            ...(status === FILE_STATUS.FAILED && { retryCount: file.retryCount + 1 }),
           };
         }
         return file;
@@ -140,301 +443,801 @@ export const UploaderProvider = ({ children }) => {
     }
   }, []);
 
-  // Start uploading files
-  // Enhanced startUpload function with concurrency and error handling
-  // This function handles the upload process, including chunked uploads and error handling
-  const startUpload = useCallback(async () => {
-    if (selectedFiles.length === 0 || isUploading) return;
-
-    setIsUploading(true);
+  // Set other fields of a selected file, such as `hashProgress` or `deduplicated`
+  const updateFileFields = useCallback((fileId, fields) => {
+    setSelectedFiles(prevFiles =>
+      prevFiles.map(file => file.id === fileId ? { ...file, ...fields } : file)
+    );
+  }, []);
 
-    // Filter out files that are already uploaded or being uploaded
-    const filesToUpload = selectedFiles.filter(
-      file => ![FILE_STATUS.COMPLETED, FILE_STATUS.UPLOADING].includes(file.status)
+  // Count one more attempt at a request of this upload
+  const recordRetry = useCallback(async (fileId) => {
+    setSelectedFiles(prevFiles =>
+      prevFiles.map(file => file.id === fileId ? { ...file, retryCount: file.retryCount + 1 } : file)
     );
+    await uploadQueueService.incrementRetryCount(fileId);
+  }, []);
 
-    if (filesToUpload.length === 0) {
-      setIsUploading(false);
-      return;
+  // Mark a file as paused; its server-side session stays open so it can continue later. Given the
+  // token of the pause being completed, nothing changes once the file was resumed since. Resolves
+  // whether the file is still paused.
+  const markPaused = useCallback(async (fileId, progress = null, pauseToken = null) => {
+    const isCurrent = () => !pauseToken || uploadControlsRef.current.get(fileId) === pauseToken;
+    if (!isCurrent()) {
+      return false;
     }
 
-    // Add to upload queue in database for persistence
-    await uploadQueueService.addToQueue(
-      filesToUpload.map(({ name, size, type, id }) => ({
-        fileName: name,
-        fileSize: size,
-        fileType: type,
-        fileId: id
-      }))
-    );
+    updateFileStatus(fileId, FILE_STATUS.PAUSED, progress);
+    await uploadQueueService.updateStatus(fileId, FILE_STATUS.PAUSED);
+    return isCurrent();
+  }, [updateFileStatus]);
 
-    // Process files in batches based on concurrency
-    let currentBatch = 0;
-    const totalBatches = Math.ceil(filesToUpload.length / uploadConcurrency);
-
-    // Function to update stats and history after each file completes
-    const updateFileCompletion = async (file, fileKey, fileUrl) => {
-      // Update local file status
-      updateFileStatus(file.id, FILE_STATUS.COMPLETED, 100);
-
-      // Update DB queue status
-      await uploadQueueService.updateStatus(file.id, FILE_STATUS.COMPLETED);
-
-      // Add to upload history immediately
-      await uploadHistoryService.addToHistory({
-        fileName: file.name,
-        fileSize: file.size,
-        status: FILE_STATUS.COMPLETED,
-        fileKey: fileKey,
-        url: fileUrl
-      });
+  // Function to update stats and history after each file completes
+  // `deduplicated` files were not uploaded: fileKey is the object already holding their content
+  const updateFileCompletion = useCallback(async (file, fileKey, fileUrl, { checksum = null, deduplicated = false, uploadedBy = null } = {}) => {
+    // Update local file status
+    updateFileStatus(file.id, FILE_STATUS.COMPLETED, 100);
+    if (deduplicated) {
+      updateFileFields(file.id, { deduplicated: true });
+    }
 
-      // Update stats immediately
-      statsManager.updateSuccessStats(1, file.size);
+    // Update DB queue status; the server-side session is gone now
+    await uploadQueueService.updateStatus(file.id, FILE_STATUS.COMPLETED);
+    await uploadQueueService.clearSession(file.id);
+
+    // Add to upload history immediately
+    await uploadHistoryService.addToHistory({
+      fileName: file.name,
+      fileSize: file.size,
+      status: FILE_STATUS.COMPLETED,
+      fileKey: fileKey,
+      url: fileUrl,
+      checksum,
+      deduplicated,
+      uploadedBy
+    });
 
-      // Fetch updated stats to update UI
-      const updatedStats = statsManager.getStats();
-      setStats(updatedStats);
+    // Update stats immediately; a deduplicated file sent no bytes
+    statsManager.updateSuccessStats(1, deduplicated ? 0 : file.size);
+
+    // Fetch updated stats to update UI
+    const updatedStats = statsManager.getStats();
+    setStats(updatedStats);
+
+    // Refresh upload history
+    const history = await uploadHistoryService.getHistory(1, 20);
+    setUploadHistory(history.items);
+  }, [updateFileStatus, updateFileFields]);
+
+  // Count background uploads that ended into the stats, which the engine cannot reach (they live
+  // in localStorage), and show the history entries it added
+  const collectBackgroundResults = useCallback(async () => {
+    const finished = await uploadQueueService.takeBackgroundResults();
+    finished.forEach(entry => {
+      if (entry.status === FILE_STATUS.COMPLETED) {
+        statsManager.updateSuccessStats(1, entry.fileSize);
+      } else if (entry.status === FILE_STATUS.FAILED) {
+        statsManager.updateFailureStats(1);
+      }
+    });
+    setStats(statsManager.getStats());
 
-      // Refresh upload history
-      const history = await uploadHistoryService.getHistory(1, 20);
-      setUploadHistory(history.items);
+    const history = await uploadHistoryService.getHistory(1, 20);
+    setUploadHistory(history.items);
+  }, []);
+
+  // Follow the background upload engine: show what it reports, and put the files it still owns
+  // back into the selection after a reload
+  useEffect(() => {
+    if (!canUploadInBackground()) {
+      return undefined;
+    }
+
+    let stopped = false;
+    // fileId -> { id, stop }: the background fetch followed (one per batch of chunks) and a promise
+    // of the function that stops following it
+    const watchers = new Map();
+
+    const watch = (fileId, backgroundFetch, fileSize) => {
+      if (watchers.get(fileId)?.id === backgroundFetch.id) {
+        return;
+      }
+
+      unwatch(fileId);
+      watchers.set(fileId, {
+        id: backgroundFetch.id,
+        stop: watchBackgroundFetch(backgroundFetch, (uploaded) => {
+          updateFileStatus(fileId, FILE_STATUS.UPLOADING, Math.floor((uploaded / fileSize) * 100));
+        }).catch(error => {
+          console.warn('Could not follow background fetch:', error);
+          return () => {};
+        })
+      });
+    };
+
+    const unwatch = (fileId) => {
+      watchers.get(fileId)?.stop.then(stop => stop());
+      watchers.delete(fileId);
     };
 
-    const uploadBatch = async () => {
-      const startIdx = currentBatch * uploadConcurrency;
-      const endIdx = Math.min(startIdx + uploadConcurrency, filesToUpload.length);
-      const currentFiles = filesToUpload.slice(startIdx, endIdx);
+    const unsubscribe = subscribeToUploadEngine((message) => {
+      const { type, fileId } = message;
+      const file = selectedFilesRef.current.find(f => f.id === fileId);
+
+      if (type === 'status') {
+        updateFileStatus(fileId, message.status);
+      } else if (type === 'progress') {
+        // A chunk in flight when the upload was paused here still reports its progress
+        const paused = [FILE_STATUS.PAUSED, FILE_STATUS.CANCELLED].includes(file?.status);
+        updateFileStatus(fileId, paused ? file.status : FILE_STATUS.UPLOADING, message.progress);
+      } else if (type === 'backgroundFetch') {
+        watch(fileId, message, file?.size || 0);
+      } else if (type === 'completed' || type === 'failed') {
+        unwatch(fileId);
+        if (type === 'completed') {
+          updateFileStatus(fileId, FILE_STATUS.COMPLETED, 100);
+        } else {
+          updateFileStatus(fileId, FILE_STATUS.FAILED, null, message.error);
+        }
+        collectBackgroundResults();
+      }
+    });
 
-      if (currentFiles.length === 0) {
-        // We're done with all batches
-        setIsUploading(false);
+    const restoreBackgroundUploads = async () => {
+      const entries = (await uploadQueueService.getBackgroundEntries())
+        .filter(entry => entry.file && ![FILE_STATUS.COMPLETED, FILE_STATUS.CANCELLED].includes(entry.status));
+      if (stopped) {
         return;
       }
 
-      // Process files in current batch in parallel
-      await Promise.allSettled(
-        currentFiles.map(async (file) => {
-          try {
-            // Update file status to uploading
-            updateFileStatus(file.id, FILE_STATUS.UPLOADING, 0);
-            await uploadQueueService.updateStatus(file.id, FILE_STATUS.UPLOADING);
+      const restored = entries.map(entry => ({
+        ...createSelectedFile(entry.file, {
+          id: entry.fileId,
+          handle: entry.fileHandle,
+          progress: getQueuedProgress(entry),
+          retryCount: entry.retryCount
+        }),
+        status: entry.status,
+        background: true
+      }));
+      setSelectedFiles(prevFiles => [
+        ...prevFiles,
+        ...restored.filter(file => !prevFiles.some(existing => existing.id === file.id))
+      ]);
+
+      entries
+        .filter(entry => entry.backgroundFetch?.id)
+        .forEach(entry => watch(entry.fileId, entry.backgroundFetch, entry.fileSize));
+
+      // Wake the engine in case the browser stopped it before it finished its queue
+      if (entries.some(entry => [FILE_STATUS.PENDING, FILE_STATUS.UPLOADING].includes(entry.status))) {
+        await postToUploadEngine({ type: 'start' });
+      }
+      await collectBackgroundResults();
+    };
 
-            // Get the actual File object
-            const fileToUpload = file.file;
+    restoreBackgroundUploads().catch(error => console.error('Error restoring background uploads:', error));
 
-            // Make sure we have a valid File object
-            if (!fileToUpload || !(fileToUpload instanceof File)) {
-              throw new Error('Invalid file object');
-            }
+    return () => {
+      stopped = true;
+      unsubscribe();
+      [...watchers.keys()].forEach(unwatch);
+    };
+  }, [updateFileStatus, collectBackgroundResults]);
 
-            // Initialize the chunked upload
-            const initResponse = await fetch('/api/upload-chunk', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({
-                action: 'initialize',
-                fileId: file.id,
-                fileName: file.name,
-                fileType: file.type
-              }),
-            });
+  // Upload one file chunk by chunk, continuing its earlier session when there is one
+  const uploadSingleFile = useCallback(async (file) => {
+    const isPaused = () => uploadControlsRef.current.has(file.id);
+    // Complete the pause the file is stopping for; resolves false when it was resumed meanwhile
+    const stopForPause = (progress = null) => markPaused(file.id, progress, uploadControlsRef.current.get(file.id));
 
-            if (!initResponse.ok) {
-              throw new Error('Failed to initialize upload');
-            }
+    // Paused or cancelled while it was waiting for a slot
+    if (isPaused() && await stopForPause()) {
+      return;
+    }
+    if (selectedFilesRef.current.find(f => f.id === file.id)?.status === FILE_STATUS.CANCELLED) {
+      return;
+    }
 
-            const initResult = await initResponse.json();
+    try {
+      // Update file status to uploading, keeping the progress of a resumed upload
+      updateFileStatus(file.id, FILE_STATUS.UPLOADING);
+      await uploadQueueService.updateStatus(file.id, FILE_STATUS.UPLOADING);
 
-            if (!initResult.success) {
-              throw new Error(initResult.error || 'Failed to initialize upload');
-            }
+      // Get the actual File object
+      const fileToUpload = file.file;
 
-            const { uploadId, fileKey } = initResult;
-
-            // Define chunk size (5MB)
-            const CHUNK_SIZE = 5 * 1024 * 1024;
-            const totalChunks = Math.ceil(fileToUpload.size / CHUNK_SIZE);
-            let uploadedChunks = 0;
-            let currentProgress = 0;
-
-            // Upload each chunk
-            for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-              // Before processing each chunk, check if the upload has been cancelled
-              // First check local state
-              const currentFile = selectedFiles.find(f => f.id === file.id);
-              if (currentFile?.status === FILE_STATUS.CANCELLED) {
-                console.log(`Stopping upload of file ${file.name} because it was cancelled`);
-
-                // Abort the multipart upload on the server
-                try {
-                  await fetch('/api/upload-chunk', {
-                    method: 'POST',
-                    headers: {
-                      'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                      action: 'abort',
-                      fileId: file.id,
-                      uploadId,
-                      fileKey
-                    }),
-                  });
-                } catch (abortError) {
-                  console.error('Error notifying server about cancelled upload:', abortError);
-                }
-
-                return; // Exit the upload process for this file
-              }
+      // Make sure we have a valid File object
+      if (!fileToUpload || !(fileToUpload instanceof File)) {
+        throw new Error('Invalid file object');
+      }
 
-              // Additionally check with the server if this upload was cancelled from another session/tab
-              try {
-                const statusResponse = await fetch('/api/upload-chunk', {
-                  method: 'POST',
-                  headers: {
-                    'Content-Type': 'application/json',
-                  },
-                  body: JSON.stringify({
-                    action: 'status',
-                    fileId: file.id
-                  }),
-                });
-
-                if (statusResponse.ok) {
-                  const statusResult = await statusResponse.json();
-                  if (statusResult.cancelled) {
-                    console.log(`Server reports upload of file ${file.name} was cancelled`);
-                    // Update local state if not already cancelled
-                    if (currentFile?.status !== FILE_STATUS.CANCELLED) {
-                      updateFileStatus(file.id, FILE_STATUS.CANCELLED);
-                    }
-                    return; // Exit the upload process for this file
-                  }
-                }
-              } catch (statusError) {
-                console.warn('Error checking upload status:', statusError);
-                // Continue with upload if we can't check status
+      // Continue an earlier session of this file when the server still has it
+      let session = await requestResume(file.id);
+
+      if (session) {
+        await uploadQueueService.setCompletedParts(file.id, session.parts);
+      } else {
+        // Skip the upload when storage already holds a file with the same content
+        let contentHash = null;
+        if (dedupeUploads && canHashContent() && fileToUpload.size > 0) {
+          // Percentage hashed so far, reported by the hashing worker
+          let hashProgress = 0;
+          updateFileFields(file.id, { hashProgress });
+          try {
+            contentHash = await hashFileContent(fileToUpload, (fraction) => {
+              const percent = Math.floor(fraction * 100);
+              if (percent !== hashProgress) {
+                hashProgress = percent;
+                updateFileFields(file.id, { hashProgress });
               }
+            });
+          } catch (hashError) {
+            console.warn(`Could not hash ${file.name}, uploading it:`, hashError);
+          } finally {
+            updateFileFields(file.id, { hashProgress: null });
+          }
 
-              // Calculate chunk boundaries
-              const start = chunkIndex * CHUNK_SIZE;
-              const end = Math.min(start + CHUNK_SIZE, fileToUpload.size);
-              const chunk = fileToUpload.slice(start, end);
-
-              // Convert chunk to array buffer then to base64
-              const fileArrayBuffer = await chunk.arrayBuffer();
-              const base64Data = btoa(
-                new Uint8Array(fileArrayBuffer)
-                  .reduce((data, byte) => data + String.fromCharCode(byte), '')
-              );
-
-              // Upload this chunk
-              const chunkResponse = await fetch('/api/upload-chunk', {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                  action: 'upload',
-                  fileId: file.id,
-                  fileKey,
-                  uploadId,
-                  currentChunk: chunkIndex,
-                  totalChunks,
-                  chunkData: base64Data
-                }),
-              });
-
-              if (!chunkResponse.ok) {
-                throw new Error(`Failed to upload chunk ${chunkIndex + 1}/${totalChunks}`);
-              }
+          // Hashing a large file takes a while; it may have been paused or cancelled meanwhile
+          if (isPaused() && await stopForPause()) {
+            return;
+          }
+          if (selectedFilesRef.current.find(f => f.id === file.id)?.status === FILE_STATUS.CANCELLED) {
+            return;
+          }
 
-              // Check the response to see if the server reports this upload as cancelled
-              const chunkResult = await chunkResponse.json();
-              if (chunkResult.cancelled) {
-                console.log(`Server cancelled the upload during chunk processing`);
-                if (currentFile?.status !== FILE_STATUS.CANCELLED) {
-                  updateFileStatus(file.id, FILE_STATUS.CANCELLED);
-                }
-                return; // Exit the upload process for this file
-              }
+          const existing = contentHash && await findStoredContent(file.id, contentHash, fileToUpload.size);
+          if (existing) {
+            await updateFileCompletion(file, existing.key, existing.url, { deduplicated: true, uploadedBy: existing.uploadedBy });
+            return;
+          }
+        }
 
-              // Update progress
-              uploadedChunks++;
-              currentProgress = Math.floor((uploadedChunks / totalChunks) * 100);
-              updateFileStatus(file.id, FILE_STATUS.UPLOADING, currentProgress);
-            }
+        // A rate limit slower than the measured throughput keeps chunks small, so each one stays short
+        const expectedRates = [throughputRef.current, uploadLimitsRef.current.totalRate, uploadLimitsRef.current.fileRate]
+          .filter(Boolean);
+        const preferredChunkSize = getPreferredChunkSize(expectedRates.length > 0 ? Math.min(...expectedRates) : null);
 
-            // One final check before completing
-            const finalCheckFile = selectedFiles.find(f => f.id === file.id);
-            if (finalCheckFile?.status === FILE_STATUS.CANCELLED) {
-              console.log(`Upload was cancelled before completion`);
-              return;
-            }
+        // Initialize the chunked upload
+        const initResponse = await fetchWithRetryAfter('/api/upload-chunk', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            action: 'initialize',
+            fileId: file.id,
+            fileName: file.name,
+            fileType: file.type,
+            fileSize: fileToUpload.size,
+            chunkSize: preferredChunkSize,
+            totalChunks: Math.ceil(fileToUpload.size / preferredChunkSize),
+            partConcurrency,
+            // Ask the server to verify every chunk against the checksum sent with it
+            ...(canComputeChecksums() && { checksumAlgorithm: CHECKSUM_ALGORITHM }),
+            // Indexed by the server once the upload completes
+            ...(contentHash && { contentHash })
+          }),
+        });
+
+        if (!initResponse.ok) {
+          throw new Error('Failed to initialize upload');
+        }
+
+        const initResult = await initResponse.json();
+
+        if (!initResult.success) {
+          throw new Error(initResult.error || 'Failed to initialize upload');
+        }
+
+        // The server picks the final chunk size; it stays fixed for this upload
+        const chunkSize = initResult.chunkSize || preferredChunkSize;
+        session = { ...initResult, chunkSize, parts: [] };
+
+        // Remember the session so the upload can resume after a reload or crash
+        await uploadQueueService.saveSession(file.id, {
+          ...session,
+          totalChunks: Math.ceil(fileToUpload.size / chunkSize)
+        });
+      }
+
+      const { uploadId, fileKey, direct, chunkSize } = session;
+      const totalChunks = Math.ceil(fileToUpload.size / chunkSize);
+
+      // The server verifies chunks of sessions it started with a checksum algorithm
+      const verifyChunks = session.checksumAlgorithm === CHECKSUM_ALGORITHM && canComputeChecksums();
+
+      // Parts storage already holds are skipped
+      const completedParts = new Map(session.parts.map(part => [part.partNumber, part]));
+
+      // In direct mode chunks go straight to storage through signed URLs
+      const getPartUrl = direct?.strategy === 'parts'
+        ? createPartUrlResolver(file.id, totalChunks, session.partUrls)
+        : null;
+      const directParts = direct ? [...completedParts.values()] : [];
+
+      // Paces this file's chunks to the per-file limit, on top of the limit all uploads share
+      const fileLimiter = createRateLimiter(() => uploadLimitsRef.current.fileRate);
+      const limiters = [totalLimiterRef.current, fileLimiter];
+
+      let uploadedChunks = completedParts.size;
+      let currentProgress = totalChunks > 0 ? Math.floor((uploadedChunks / totalChunks) * 100) : 0;
+      updateFileStatus(file.id, isPaused() ? FILE_STATUS.PAUSED : FILE_STATUS.UPLOADING, currentProgress);
+
+      // Chunks storage does not hold yet, in order
+      const pendingChunks = [];
+      for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+        if (!completedParts.has(chunkIndex + 1)) {
+          pendingChunks.push(chunkIndex);
+        }
+      }
 
-            // Complete the multipart upload
-            const completeResponse = await fetch('/api/upload-chunk', {
+      // Set to PAUSED or CANCELLED when a part worker stops the upload, so the others take no new chunks
+      let stoppedWith = null;
+      // Token of the pause that stopped it
+      let pauseToken = null;
+
+      // Upload one chunk; resolves false when the upload was stopped instead
+      const uploadChunk = async (chunkIndex) => {
+        // Wait for the rate limits first, so a pause or cancel during the wait still applies. The
+        // wait stays outside the attempts, whose timeout would otherwise count it.
+        await throttle(limiters, Math.min(chunkSize, fileToUpload.size - chunkIndex * chunkSize));
+
+        // Stop before the next chunk when paused; the server keeps the session, so
+        // resuming continues from this chunk
+        if (isPaused()) {
+          console.log(`Pausing upload of file ${file.name} at chunk ${chunkIndex + 1}/${totalChunks}`);
+          stoppedWith = FILE_STATUS.PAUSED;
+          pauseToken = uploadControlsRef.current.get(file.id);
+          return false;
+        }
+
+        // Before processing each chunk, check if the upload has been cancelled
+        // First check local state
+        const currentFile = selectedFilesRef.current.find(f => f.id === file.id);
+        if (currentFile?.status === FILE_STATUS.CANCELLED) {
+          // Only the first worker to notice tells the server
+          if (stoppedWith === FILE_STATUS.CANCELLED) {
+            return false;
+          }
+          stoppedWith = FILE_STATUS.CANCELLED;
+          console.log(`Stopping upload of file ${file.name} because it was cancelled`);
+
+          // Abort the multipart upload on the server
+          try {
+            await fetchWithRetryAfter('/api/upload-chunk', {
               method: 'POST',
               headers: {
                 'Content-Type': 'application/json',
               },
               body: JSON.stringify({
-                action: 'complete',
+                action: 'abort',
                 fileId: file.id,
                 uploadId,
                 fileKey
               }),
             });
+          } catch (abortError) {
+            console.error('Error notifying server about cancelled upload:', abortError);
+          }
 
-            if (!completeResponse.ok) {
-              throw new Error('Failed to complete upload');
+          return false; // Exit the upload process for this file
+        }
+
+        // An upload cancelled from another session or tab is reported by the server's answer to
+        // the chunk itself (409 with `cancelled: true`), so chunks need no separate status check
+
+        // Calculate chunk boundaries
+        const start = chunkIndex * chunkSize;
+        const end = Math.min(start + chunkSize, fileToUpload.size);
+        let etag = null;
+        let checksum = null;
+        let crc32c = null;
+        let sentAt;
+
+        // Transient failures (5xx, timeouts, network errors) are retried with backoff; each
+        // retry counts towards the file's retryCount, and is paced like a new chunk
+        const onRetry = async (error, attempt, delay) => {
+          console.warn(`Retrying chunk ${chunkIndex + 1}/${totalChunks} of ${file.name} in ${delay}ms after attempt ${attempt} failed:`, error);
+          await recordRetry(file.id);
+          await throttle(limiters, end - start);
+        };
+        if (direct) {
+          // A resumable session may already hold the beginning of this chunk
+          const sendFrom = session.offset > start && session.offset < end ? session.offset : start;
+
+          const part = await withRetry(async (signal, startTimeout) => {
+            let chunk = fileToUpload.slice(sendFrom, end);
+
+            // GCS checks a resumable session's object against the CRC32C of every chunk on
+            // completion, so the whole chunk is read and hashed, bytes storage already holds included
+            if (direct.strategy === 'resumable') {
+              const payload = await prepareChunk(fileToUpload, start, end, { crc32c: true, onStart: startTimeout });
+              crc32c = payload.crc32c;
+              chunk = new Uint8Array(payload.body, sendFrom - start);
+            }
+            startTimeout();
+
+            sentAt = Date.now();
+            return putChunkDirect({
+              direct,
+              getPartUrl,
+              chunk,
+              partNumber: chunkIndex + 1,
+              start: sendFrom,
+              fileSize: fileToUpload.size,
+              signal
+            });
+          }, { ...retryOptions, deferTimeout: true }, onRetry);
+          directParts.push({ ...part, crc32c });
+          etag = part.etag;
+        } else {
+          // Upload this chunk as raw bytes, with the upload fields in the query string
+          const chunkParams = new URLSearchParams({
+            action: 'upload',
+            fileId: file.id,
+            fileKey,
+            uploadId: uploadId || '',
+            currentChunk: chunkIndex,
+            totalChunks
+          });
+          const chunkResult = await withRetry(async (signal, startTimeout) => {
+            // Read (and hashed) by a chunk worker on every attempt, so a retry also catches a
+            // chunk that was misread from disk. The attempt's timeout starts once a worker takes it.
+            const payload = await prepareChunk(fileToUpload, start, end, { checksum: verifyChunks, onStart: startTimeout });
+            if (verifyChunks) {
+              checksum = payload.checksum;
+              chunkParams.set('checksum', checksum);
             }
 
-            const result = await completeResponse.json();
+            sentAt = Date.now();
+            const chunkResponse = await fetch(`/api/upload-chunk?${chunkParams}`, {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/octet-stream',
+              },
+              body: payload.body,
+              signal,
+            });
+
+            // The chunk arrived corrupted. It is sent again, unless the session appends to one
+            // stream: the server dropped that session, and the upload has to start over.
+            if (chunkResponse.status === 422) {
+              const mismatch = await chunkResponse.json();
+              const error = new Error(mismatch.error || `Checksum mismatch in chunk ${chunkIndex + 1}/${totalChunks}`);
+              error.retryable = Boolean(mismatch.checksumMismatch) && !session.ordered;
+              throw error;
+            }
 
-            if (!result.success) {
-              throw new Error(result.error || 'Failed to complete upload');
+            // A cancelled upload is answered with 409 and `cancelled: true`
+            if (!chunkResponse.ok && chunkResponse.status !== 409) {
+              throw createResponseError(chunkResponse, `Failed to upload chunk ${chunkIndex + 1}/${totalChunks}`);
             }
+            return chunkResponse.json();
+          }, { ...retryOptions, deferTimeout: true }, onRetry);
+
+          // Check the response to see if the server reports this upload as cancelled
+          if (chunkResult.cancelled) {
+            console.log(`Server cancelled the upload during chunk processing`);
+            stoppedWith = FILE_STATUS.CANCELLED;
+            if (currentFile?.status !== FILE_STATUS.CANCELLED) {
+              updateFileStatus(file.id, FILE_STATUS.CANCELLED);
+            }
+            return false; // Exit the upload process for this file
+          }
+          if (!chunkResult.success) {
+            throw new Error(chunkResult.error || `Failed to upload chunk ${chunkIndex + 1}/${totalChunks}`);
+          }
+        }
 
-            // Update stats, DB, and history immediately for this completed file
-            await updateFileCompletion(file, result.key, result.url);
+        // Fold this chunk's throughput into the average used to size later uploads
+        const seconds = Math.max(Date.now() - sentAt, 1) / 1000;
+        const bytesPerSecond = (end - start) / seconds;
+        throughputRef.current = throughputRef.current
+          ? throughputRef.current + THROUGHPUT_SMOOTHING * (bytesPerSecond - throughputRef.current)
+          : bytesPerSecond;
+
+        // Record the part so a later attempt can skip it
+        const completedPart = {
+          partNumber: chunkIndex + 1,
+          etag,
+          size: end - start,
+          checksum,
+          crc32c
+        };
+        completedParts.set(completedPart.partNumber, completedPart);
+        await uploadQueueService.addCompletedPart(file.id, completedPart);
+
+        // Update progress
+        uploadedChunks++;
+        currentProgress = Math.floor((uploadedChunks / totalChunks) * 100);
+        updateFileStatus(file.id, isPaused() ? FILE_STATUS.PAUSED : FILE_STATUS.UPLOADING, currentProgress);
+        return true;
+      };
 
+      // Each part worker takes the next chunk until none are left or the upload stops. After a
+      // failure the other workers finish their in-flight chunk and stop too.
+      const runPartWorker = async () => {
+        while (!stoppedWith && pendingChunks.length > 0) {
+          try {
+            if (!await uploadChunk(pendingChunks.shift())) {
+              return;
+            }
           } catch (error) {
-            console.error(`Error uploading file ${file.name}:`, error);
-            updateFileStatus(file.id, FILE_STATUS.FAILED, 0, error.message);
-            await uploadQueueService.updateStatus(file.id, FILE_STATUS.FAILED, file.retryCount + 1);
-            statsManager.updateFailureStats(1);
-
-            // Update stats in the UI for failures too
-            const updatedStats = statsManager.getStats();
-            setStats(updatedStats);
+            stoppedWith = FILE_STATUS.FAILED;
+            throw error;
           }
-        })
+        }
+      };
+
+      // Sessions that append every part to one stream (GCS resumable uploads) take them one at a time
+      const workerCount = session.ordered ? 1 : Math.max(1, Math.min(partConcurrency, pendingChunks.length));
+      const workerResults = await Promise.allSettled(
+        Array.from({ length: workerCount }, runPartWorker)
       );
 
-      // Move to next batch
-      currentBatch++;
-      await uploadBatch();
-    };
+      const failedWorker = workerResults.find(result => result.status === 'rejected');
+      if (failedWorker) {
+        throw failedWorker.reason;
+      }
+      if (stoppedWith === FILE_STATUS.PAUSED) {
+        if (await markPaused(file.id, currentProgress, pauseToken)) {
+          return;
+        }
+        // Resumed while it was stopping: resumeUpload left it to this task, which starts over
+        // from the parts storage holds
+        return uploadTaskRef.current(file);
+      }
+      if (stoppedWith === FILE_STATUS.CANCELLED) {
+        return;
+      }
+
+      // One final check before completing
+      const finalCheckFile = selectedFilesRef.current.find(f => f.id === file.id);
+      if (finalCheckFile?.status === FILE_STATUS.CANCELLED) {
+        console.log(`Upload was cancelled before completion`);
+        return;
+      }
 
-    // Start the first batch
-    await uploadBatch();
+      // The server checks the file checksum against the chunks it verified
+      const fileChecksum = verifyChunks ? await getCompositeChecksum([...completedParts.values()]) : null;
 
-    // Set uploading to false when all batches are done
-    setIsUploading(false);
+      // Complete the multipart upload
+      const completeResponse = await fetchWithRetryAfter('/api/upload-chunk', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          action: 'complete',
+          fileId: file.id,
+          uploadId,
+          fileKey,
+          ...(fileChecksum && { checksum: fileChecksum }),
+          // Parts finish out of order when several are in flight
+          ...(direct && { parts: [...directParts].sort((x, y) => x.partNumber - y.partNumber) })
+        }),
+      });
+
+      // A 422 carries the reason, such as a file checksum mismatch
+      if (!completeResponse.ok && completeResponse.status !== 422) {
+        throw new Error('Failed to complete upload');
+      }
+
+      const result = await completeResponse.json();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to complete upload');
+      }
+
+      // Update stats, DB, and history immediately for this completed file
+      await updateFileCompletion(file, result.key, result.url, {
+        checksum: result.checksum || null,
+        uploadedBy: result.uploadedBy || null
+      });
+
+    } catch (error) {
+      // Retries are exhausted; the progress stays, a retry continues from the parts storage holds
+      console.error(`Error uploading file ${file.name}:`, error);
+      updateFileStatus(file.id, FILE_STATUS.FAILED, null, error.message);
+      await uploadQueueService.updateStatus(file.id, FILE_STATUS.FAILED);
+      statsManager.updateFailureStats(1);
+
+      // Update stats in the UI for failures too
+      const updatedStats = statsManager.getStats();
+      setStats(updatedStats);
+    }
+  }, [partConcurrency, retryOptions, dedupeUploads, updateFileStatus, updateFileFields, updateFileCompletion, markPaused, recordRetry]);
+
+  useEffect(() => {
+    uploadTaskRef.current = uploadSingleFile;
+  }, [uploadSingleFile]);
+
+  // Upload the given selected files: hand them to the background engine or to the leader tab, or
+  // queue them here. Resolves once every file queued here has finished.
+  const uploadFiles = useCallback(async (files) => {
+    // Filter out files that are already uploaded, being uploaded, paused or waiting for a slot
+    // (here or in the background engine)
+    const filesToUpload = files.filter(
+      file => ![FILE_STATUS.COMPLETED, FILE_STATUS.UPLOADING, FILE_STATUS.PAUSED].includes(file.status) &&
+        !scheduler.isWaiting(file.id) &&
+        !(file.background && file.status === FILE_STATUS.PENDING)
+    );
+
+    if (filesToUpload.length === 0) {
+      return;
+    }
+
+    // The engine takes the files over, along with files it uploaded before; their progress arrives
+    // as engine messages
+    let handedOver = canUploadInBackground()
+      ? filesToUpload.filter(file => !file.remote && (backgroundUploads || file.background))
+      : [];
+    if (handedOver.length > 0) {
+      try {
+        await addToQueue(handedOver);
+        await handOverUploads(handedOver, uploadLimitsRef.current);
+        handedOver.forEach(file => {
+          updateFileStatus(file.id, FILE_STATUS.PENDING);
+          updateFileFields(file.id, { background: true });
+        });
+      } catch (error) {
+        console.error('Could not hand uploads over to the background engine, uploading here:', error);
+        handedOver = [];
+      }
+    }
+
+    const uploadHere = filesToUpload.filter(file => !handedOver.includes(file));
+    if (uploadHere.length === 0) {
+      return;
+    }
+
+    // Another tab leads: it uploads the files and shares their progress
+    const coordinator = coordinatorRef.current;
+    if (coordinator) {
+      await coordinator.ready;
+    }
+    if (coordinator && !coordinator.isLeader()) {
+      uploadHere
+        .filter(file => !file.remote)
+        .forEach(file => updateFileFields(file.id, { handedOver: true }));
+      coordinator.post({ type: 'upload', files: uploadHere.map(toTransferredFile) });
+      return;
+    }
+
+    await enqueueUploads(uploadHere);
+    await scheduler.whenIdle();
+  }, [backgroundUploads, scheduler, addToQueue, enqueueUploads, updateFileStatus, updateFileFields]);
+
+  // Start uploading files
+  // Enhanced startUpload function with concurrency and error handling
+  // This function handles the upload process, including chunked uploads and error handling
+  // Resolves once every queued file has finished
+  const startUpload = useCallback(async () => {
+    if (selectedFiles.length === 0) return;
+
+    await uploadFiles(selectedFiles);
+  }, [selectedFiles, uploadFiles]);
+
+  // Pause an upload after its in-flight chunk, or before it starts when it is still waiting
+  const pauseUpload = useCallback(async (fileId) => {
+    const file = selectedFilesRef.current.find(f => f.id === fileId);
+    if (![FILE_STATUS.UPLOADING, FILE_STATUS.PENDING].includes(file?.status) || forwardToLeader('pause', fileId)) {
+      return;
+    }
+
+    // The engine stops before its next chunk; a background fetch is aborted
+    if (file.background) {
+      await markPaused(fileId);
+      await postToUploadEngine({ type: 'pause', fileId });
+      return;
+    }
+
+    const pauseToken = {};
+    uploadControlsRef.current.set(fileId, pauseToken);
+    scheduler.remove(fileId);
+    await markPaused(fileId, null, pauseToken);
+  }, [scheduler, markPaused, forwardToLeader]);
+
+  // Continue a paused upload from its next chunk
+  const resumeUpload = useCallback(async (fileId) => {
+    const file = selectedFilesRef.current.find(f => f.id === fileId);
+    if (file?.status !== FILE_STATUS.PAUSED || forwardToLeader('resume', fileId)) {
+      return;
+    }
+
+    // Back in the engine's queue
+    if (file.background) {
+      updateFileStatus(fileId, FILE_STATUS.PENDING);
+      await uploadQueueService.updateStatus(fileId, FILE_STATUS.PENDING);
+      await postToUploadEngine({ type: 'start' });
+      return;
+    }
+
+    uploadControlsRef.current.delete(fileId);
+
+    // Its in-flight chunk has not finished yet, so the loop simply carries on
+    if (scheduler.isActive(fileId)) {
+      updateFileStatus(fileId, FILE_STATUS.UPLOADING);
+      await uploadQueueService.updateStatus(fileId, FILE_STATUS.UPLOADING);
+      return;
+    }
+
+    // Back to the end of the queue
+    updateFileStatus(fileId, FILE_STATUS.PENDING);
+    await enqueueUploads([file]);
+  }, [scheduler, updateFileStatus, enqueueUploads, forwardToLeader]);
+
+  // Pause every running or queued upload
+  const pauseAll = useCallback(async () => {
+    const files = selectedFilesRef.current.filter(file =>
+      file.status === FILE_STATUS.UPLOADING ||
+      (file.status === FILE_STATUS.PENDING &&
+        (scheduler.isWaiting(file.id) || file.background || (!isLeader && waitingFileIds.includes(file.id))))
+    );
+
+    await Promise.all(files.map(file => pauseUpload(file.id)));
+  }, [scheduler, isLeader, waitingFileIds, pauseUpload]);
+
+  // Resume every paused upload
+  const resumeAll = useCallback(async () => {
+    const files = selectedFilesRef.current.filter(file => file.status === FILE_STATUS.PAUSED);
+    await Promise.all(files.map(file => resumeUpload(file.id)));
+  }, [resumeUpload]);
+
+  // When the schedule stops uploads, running ones pause after their in-flight chunk and waiting ones
+  // stay queued; when it allows them again, both continue. Only the tab running uploads acts on it.
+  // The background engine stops its own uploads, and is woken here when they may continue.
+  useEffect(() => {
+    uploadAllowedRef.current = uploadAllowed;
+    if (!isLeader) {
+      return;
+    }
 
-  }, [selectedFiles, isUploading, uploadConcurrency, updateFileStatus, setStats, setUploadHistory]);
+    if (uploadAllowed) {
+      scheduler.refresh();
+      const paused = [...scheduledPausesRef.current];
+      scheduledPausesRef.current.clear();
+      paused.forEach(fileId => {
+        resumeUpload(fileId).catch(error => console.error('Error resuming scheduled upload:', error));
+      });
+      if (selectedFilesRef.current.some(file => file.background && file.status === FILE_STATUS.PENDING)) {
+        postToUploadEngine({ type: 'start' }).catch(error => console.error('Error waking the background engine:', error));
+      }
+    } else {
+      selectedFilesRef.current
+        .filter(file => file.status === FILE_STATUS.UPLOADING && !file.background)
+        .forEach(file => {
+          scheduledPausesRef.current.add(file.id);
+          pauseUpload(file.id).catch(error => console.error('Error pausing upload outside its window:', error));
+        });
+    }
+  }, [uploadAllowed, isLeader, scheduler, pauseUpload, resumeUpload]);
   // Also update the cancelUpload method to abort multipart uploads
   const cancelUpload = useCallback(async (fileId) => {
+    if (forwardToLeader('cancel', fileId)) {
+      return;
+    }
+
     // First update the local state to reflect cancellation
+    const file = selectedFilesRef.current.find(f => f.id === fileId);
     updateFileStatus(fileId, FILE_STATUS.CANCELLED);
+    uploadControlsRef.current.delete(fileId);
+    scheduler.remove(fileId);
     await uploadQueueService.updateStatus(fileId, FILE_STATUS.CANCELLED);
+    await uploadQueueService.clearSession(fileId);
+
+    // The engine drops the file it stored and aborts a background fetch
+    if (file?.background) {
+      await uploadQueueService.finishBackground(fileId, FILE_STATUS.CANCELLED);
+      await postToUploadEngine({ type: 'cancel', fileId }).catch(error => {
+        console.error('Error cancelling background upload:', error);
+      });
+    }
 
     try {
       // Actively notify the server to abort the upload
-      await fetch('/api/upload-chunk', {
+      await fetchWithRetryAfter('/api/upload-chunk', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -450,7 +1253,7 @@ export const UploaderProvider = ({ children }) => {
       console.error('Error cancelling upload:', error);
       // Even if the server request fails, we still keep the local state as cancelled
     }
-  }, [updateFileStatus]);
+  }, [scheduler, updateFileStatus, forwardToLeader]);
 
   // Retry failed uploads
   const retryFailedUploads = useCallback(() => {
@@ -459,9 +1262,9 @@ export const UploaderProvider = ({ children }) => {
 
     if (failedFiles.length === 0) return;
 
-    // Reset their status to pending
+    // Reset their status to pending; they continue from the parts already uploaded
     failedFiles.forEach(file => {
-      updateFileStatus(file.id, FILE_STATUS.PENDING, 0);
+      updateFileStatus(file.id, FILE_STATUS.PENDING);
     });
 
     // Start upload again
@@ -475,8 +1278,16 @@ export const UploaderProvider = ({ children }) => {
   const cancelAllUploads = useCallback(async () => {
     setIsUploading(false);
 
-    // Get all files that are currently uploading
-    const uploadingFiles = selectedFiles.filter(file => file.status === FILE_STATUS.UPLOADING);
+    // Files still waiting for a slot stay pending
+    scheduler.clear();
+
+    // Get all files that are currently uploading or paused; paused ones still hold a server session.
+    // Files queued in the background engine or by the leader tab are cancelled too, the latter by
+    // the leader.
+    const uploadingFiles = selectedFiles.filter(file =>
+      [FILE_STATUS.UPLOADING, FILE_STATUS.PAUSED].includes(file.status) ||
+      ((file.background || file.remote || file.handedOver) && file.status === FILE_STATUS.PENDING)
+    ).filter(file => !forwardToLeader('cancel', file.id));
 
     if (uploadingFiles.length === 0) {
       return; // No files to cancel
@@ -485,13 +1296,21 @@ export const UploaderProvider = ({ children }) => {
     // Update local status for each file
     for (const file of uploadingFiles) {
       updateFileStatus(file.id, FILE_STATUS.CANCELLED);
+      uploadControlsRef.current.delete(file.id);
       await uploadQueueService.updateStatus(file.id, FILE_STATUS.CANCELLED);
+      await uploadQueueService.clearSession(file.id);
+      if (file.background) {
+        await uploadQueueService.finishBackground(file.id, FILE_STATUS.CANCELLED);
+        await postToUploadEngine({ type: 'cancel', fileId: file.id }).catch(error => {
+          console.error(`Error cancelling background upload of ${file.name}:`, error);
+        });
+      }
     }
 
     // Notify server about all cancellations
     await Promise.allSettled(
       uploadingFiles.map(file =>
-        fetch('/api/upload-chunk', {
+        fetchWithRetryAfter('/api/upload-chunk', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -505,12 +1324,182 @@ export const UploaderProvider = ({ children }) => {
     );
 
     console.log(`Cancelled ${uploadingFiles.length} uploads`);
-  }, [selectedFiles, updateFileStatus]);
+  }, [selectedFiles, scheduler, updateFileStatus, forwardToLeader]);
+
+  // Leader: add files other tabs hand over to the selection, and upload them along with files
+  // they asked for by id
+  const acceptUploads = useCallback((files) => {
+    const known = new Map(selectedFilesRef.current.map(file => [file.id, file]));
+
+    const added = files
+      .filter(shared => shared.file && !known.has(shared.id))
+      .map(shared => ({
+        ...createSelectedFile(shared.file, {
+          id: shared.id,
+          handle: shared.handle,
+          progress: shared.progress,
+          retryCount: shared.retryCount
+        }),
+        status: shared.status === FILE_STATUS.PAUSED ? FILE_STATUS.PAUSED : FILE_STATUS.PENDING
+      }));
+    if (added.length > 0) {
+      setSelectedFiles(prevFiles => [
+        ...prevFiles,
+        ...added.filter(file => !prevFiles.some(existing => existing.id === file.id))
+      ]);
+    }
+
+    const requested = files.map(shared => known.get(shared.id)).filter(Boolean);
+    uploadFiles([...added, ...requested])
+      .catch(error => console.error('Error uploading files handed over by another tab:', error));
+  }, [uploadFiles]);
+
+  // Handle a message from another tab
+  const handleTabMessage = useCallback((message) => {
+    const coordinator = coordinatorRef.current;
+    if (!coordinator) {
+      return;
+    }
+
+    if (coordinator.isLeader()) {
+      if (message.type === 'hello') {
+        coordinator.post({
+          type: 'snapshot',
+          files: selectedFiles.map(toSharedFile),
+          isUploading,
+          waitingFileIds
+        });
+      } else if (message.type === 'upload') {
+        acceptUploads(message.files);
+      } else if (message.type === 'control') {
+        const actions = { pause: pauseUpload, resume: resumeUpload, cancel: cancelUpload, remove: removeFile };
+        Promise.resolve(actions[message.action]?.(message.fileId))
+          .catch(error => console.error(`Error handling ${message.action} from another tab:`, error));
+      }
+      return;
+    }
+
+    if (message.type === 'snapshot') {
+      // Mirror the leader's uploads: update the files this tab has, add the others and drop those
+      // the leader no longer has
+      const shared = new Map(message.files.map(file => [file.id, file]));
+      setSelectedFiles(prevFiles => [
+        ...prevFiles
+          .filter(file => !file.remote || shared.has(file.id))
+          .map(file => shared.has(file.id) ? { ...file, ...shared.get(file.id) } : file),
+        ...message.files
+          .filter(file => !prevFiles.some(existing => existing.id === file.id))
+          .map(file => ({ ...file, file: null, handle: null, remote: true }))
+      ]);
+      setUploadProgress(prev => ({
+        ...prev,
+        ...Object.fromEntries(message.files.map(file => [file.id, file.progress]))
+      }));
+      setIsUploading(message.isUploading);
+      setWaitingFileIds(message.waitingFileIds);
+    } else if (message.type === 'leader') {
+      // A new leader took over: the uploads this tab handed to the previous one continue there
+      const files = selectedFiles.filter(file =>
+        file.handedOver && ![FILE_STATUS.COMPLETED, FILE_STATUS.CANCELLED].includes(file.status)
+      );
+      if (files.length > 0) {
+        coordinator.post({ type: 'upload', files: files.map(toTransferredFile) });
+      }
+    } else if (message.type === 'statsChanged') {
+      setStats(statsManager.getStats());
+      uploadHistoryService.getHistory(1, 20).then(history => setUploadHistory(history.items));
+    }
+  }, [selectedFiles, isUploading, waitingFileIds, acceptUploads, pauseUpload, resumeUpload, cancelUpload, removeFile]);
+
+  // This tab became the leader. The previous leader's uploads stopped with it: its own files are
+  // offered again as unfinished uploads, files this tab had handed over continue here, and the
+  // other tabs send theirs again.
+  const takeLeadership = useCallback(async () => {
+    setIsLeader(true);
+
+    const resumed = selectedFilesRef.current
+      .filter(file => file.handedOver && ![FILE_STATUS.COMPLETED, FILE_STATUS.CANCELLED].includes(file.status))
+      .map(file => ({
+        ...file,
+        handedOver: false,
+        status: file.status === FILE_STATUS.PAUSED ? FILE_STATUS.PAUSED : FILE_STATUS.PENDING
+      }));
+    const resumedById = new Map(resumed.map(file => [file.id, file]));
+    setSelectedFiles(prevFiles => prevFiles
+      .filter(file => !file.remote)
+      .map(file => resumedById.get(file.id) || file)
+    );
+    setWaitingFileIds([]);
+
+    coordinatorRef.current?.post({ type: 'leader' });
+
+    const queue = await uploadQueueService.getQueue();
+    setUploadQueue(queue);
+
+    await uploadFiles(resumed);
+  }, [uploadFiles]);
+
+  useEffect(() => {
+    tabMessageRef.current = handleTabMessage;
+    tabLeadershipRef.current = takeLeadership;
+  }, [handleTabMessage, takeLeadership]);
+
+  // Join the other open tabs: the leader runs every upload, the others hand their files to it and
+  // mirror its progress
+  useEffect(() => {
+    if (!canCoordinateTabs()) {
+      return undefined;
+    }
+
+    const coordinator = createTabCoordinator({
+      onMessage: (message) => tabMessageRef.current?.(message),
+      onLeadership: () => {
+        tabLeadershipRef.current?.()
+          .catch(error => console.error('Error taking over uploads from another tab:', error));
+      }
+    });
+    coordinatorRef.current = coordinator;
+
+    coordinator.ready.then(() => {
+      if (!coordinator.isLeader()) {
+        setIsLeader(false);
+        coordinator.post({ type: 'hello' });
+      }
+    });
+
+    return () => {
+      coordinator.close();
+      coordinatorRef.current = null;
+      setIsLeader(true);
+    };
+  }, []);
+
+  // The leader shares its uploads whenever they change
+  useEffect(() => {
+    const coordinator = coordinatorRef.current;
+    if (coordinator?.isLeader()) {
+      coordinator.post({
+        type: 'snapshot',
+        files: selectedFiles.map(toSharedFile),
+        isUploading,
+        waitingFileIds
+      });
+    }
+  }, [selectedFiles, isUploading, waitingFileIds, isLeader]);
+
+  // ...and tells the other tabs to reload the stats and history it updated
+  useEffect(() => {
+    const coordinator = coordinatorRef.current;
+    if (coordinator?.isLeader()) {
+      coordinator.post({ type: 'statsChanged' });
+    }
+  }, [stats, isLeader]);
 
   // Process a folder
   const processFolder = useCallback(async (folderHandle) => {
     try {
       const files = [];
+      const handles = [];
 
       // Recursive function to process directories
       async function processDirectoryEntry(dirHandle, path = '') {
@@ -525,6 +1514,7 @@ export const UploaderProvider = ({ children }) => {
               lastModified: file.lastModified,
             });
             files.push(fileWithPath);
+            handles.push(entry);
           } else if (entry.kind === 'directory') {
             // Recursively process subdirectories
             await processDirectoryEntry(entry, entryPath);
@@ -535,7 +1525,7 @@ export const UploaderProvider = ({ children }) => {
       await processDirectoryEntry(folderHandle);
 
       if (files.length > 0) {
-        prepareFiles(files);
+        await prepareFiles(files, handles);
       }
 
       return files.length;
@@ -545,6 +1535,101 @@ export const UploaderProvider = ({ children }) => {
     }
   }, [prepareFiles]);
 
+  // Unfinished uploads from an earlier visit that are not in the selection; the background engine
+  // keeps its own
+  const pendingUploads = useMemo(() => {
+    return uploadQueue
+      .filter(entry =>
+        ![FILE_STATUS.COMPLETED, FILE_STATUS.CANCELLED].includes(entry.status) &&
+        !entry.background &&
+        !selectedFiles.some(file => file.id === entry.fileId)
+      )
+      .map(entry => ({
+        ...entry,
+        progress: getQueuedProgress(entry),
+        attachError: attachErrors[entry.fileId] || (entry.fileHandle ? null : ATTACH_ERRORS.NO_HANDLE)
+      }));
+  }, [uploadQueue, selectedFiles, attachErrors]);
+
+  // Put pending uploads back into the selection through their stored file handles.
+  // Must run from a user gesture: the browser asks for read permission again.
+  const resumePendingUploads = useCallback(async () => {
+    const restored = [];
+    const errors = {};
+
+    for (const entry of pendingUploads.filter(pending => pending.fileHandle)) {
+      try {
+        const handle = entry.fileHandle;
+        const options = { mode: 'read' };
+
+        if (await handle.queryPermission(options) !== 'granted' &&
+          await handle.requestPermission(options) !== 'granted') {
+          errors[entry.fileId] = ATTACH_ERRORS.PERMISSION_DENIED;
+          continue;
+        }
+
+        const file = await handle.getFile();
+
+        // Parts already uploaded belong to the file as it was when the upload started
+        if (file.size !== entry.fileSize || file.lastModified !== entry.lastModified) {
+          errors[entry.fileId] = ATTACH_ERRORS.MODIFIED;
+          continue;
+        }
+
+        // Keep the queued name, which includes the folder path for folder uploads
+        const namedFile = new File([file], entry.fileName, {
+          type: file.type,
+          lastModified: file.lastModified,
+        });
+
+        restored.push(createSelectedFile(namedFile, {
+          id: entry.fileId,
+          handle,
+          progress: getQueuedProgress(entry),
+          retryCount: entry.retryCount
+        }));
+      } catch (error) {
+        console.error(`Error re-attaching ${entry.fileName}:`, error);
+        errors[entry.fileId] = error.name === 'NotAllowedError'
+          ? ATTACH_ERRORS.PERMISSION_DENIED
+          : ATTACH_ERRORS.NOT_FOUND;
+      }
+    }
+
+    setAttachErrors(prev => ({ ...prev, ...errors }));
+    if (restored.length > 0) {
+      setSelectedFiles(prevFiles => [...prevFiles, ...restored]);
+    }
+
+    return restored.length;
+  }, [pendingUploads]);
+
+  // Give up on a pending upload: abort its server-side session and drop it from the queue
+  const discardPendingUpload = useCallback(async (fileId) => {
+    try {
+      await fetchWithRetryAfter('/api/upload-chunk', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          action: 'abort',
+          fileId
+        }),
+      });
+    } catch (error) {
+      console.error('Error aborting discarded upload:', error);
+    }
+
+    await uploadQueueService.removeFromQueue(fileId);
+    setUploadQueue(prevQueue => prevQueue.filter(entry => entry.fileId !== fileId));
+  }, []);
+
+  // 1-based queue position of every file waiting for an upload slot
+  const queuePositions = useMemo(() => {
+    return Object.fromEntries(waitingFileIds.map((fileId, index) => [fileId, index + 1]));
+  }, [waitingFileIds]);
+
   // Value to be provided by the context
   const value = {
     selectedFiles,
@@ -553,18 +1638,38 @@ export const UploaderProvider = ({ children }) => {
     stats,
     isUploading,
     uploadProgress,
+    queuePositions,
     uploadConcurrency,
+    partConcurrency,
+    retryOptions,
+    dedupeUploads,
+    backgroundUploads,
     cloudProvider,
+    isLeader,
+    uploadLimits,
+    uploadAllowed,
     setUploadConcurrency,
+    setPartConcurrency,
+    setRetryOptions,
+    setDedupeUploads,
+    setBackgroundUploads,
+    setUploadLimits,
     prepareFiles,
     removeFile,
     clearSelectedFiles,
     startUpload,
     cancelUpload,
     cancelAllUploads,
+    pauseUpload,
+    resumeUpload,
+    pauseAll,
+    resumeAll,
     retryFailedUploads,
     updateFileStatus,
     processFolder,
+    pendingUploads,
+    resumePendingUploads,
+    discardPendingUpload,
   };
 
   return (
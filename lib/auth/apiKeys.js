@@ -0,0 +1,119 @@
+// Personal API keys for scripted uploads, kept in one JSON file (APP_API_KEYS_FILE, default
+// ./.cloudflux-api-keys.json)
+//
+// A key is sent as `Authorization: Bearer cfx_<id>_<secret>` and acts as its user, limited to its
+// scopes. Only a SHA-256 hash of the secret is stored, so the key is shown once, when it is created.
+// A stored key is { id, userId, name, scopes, secretHash, createdAt, expiresAt, lastUsedAt }.
+import crypto from 'crypto';
+import { createHttpError } from '../http';
+import { createJsonFile } from './jsonFile';
+
+// upload: send files, list: list and download stored files, delete: delete stored files
+export const API_KEY_SCOPES = ['upload', 'list', 'delete'];
+
+const KEY_PREFIX = 'cfx';
+const MAX_NAME_LENGTH = 64;
+
+// lastUsedAt is written at most once a minute per key, not on every chunk
+const LAST_USED_INTERVAL = 60 * 1000;
+
+const keysFile = createJsonFile(() => process.env.APP_API_KEYS_FILE || './.cloudflux-api-keys.json');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+// The key without its secret hash, as sent to the browser; `hint` is enough to recognise it
+export const toPublicApiKey = ({ secretHash, ...apiKey }) => ({
+    ...apiKey,
+    hint: `${KEY_PREFIX}_${apiKey.id}_…`
+});
+
+const isExpired = (apiKey) => Boolean(apiKey.expiresAt) && new Date(apiKey.expiresAt) <= new Date();
+
+export const listApiKeys = async (userId) => {
+    const apiKeys = await keysFile.read();
+    return apiKeys.filter(apiKey => apiKey.userId === userId).map(toPublicApiKey);
+};
+
+// Create a key for a user. Without scopes the key gets all of them; without expiresAt it never
+// expires. Resolves { apiKey, key }: `key` is the only copy of the secret.
+export const createApiKey = (userId, { name, scopes = API_KEY_SCOPES, expiresAt = null }) => {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        throw createHttpError(400, `Key names are 1 to ${MAX_NAME_LENGTH} characters`);
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        throw createHttpError(400, `Scopes must be some of ${API_KEY_SCOPES.join(', ')}`);
+    }
+    if (expiresAt && (Number.isNaN(Date.parse(expiresAt)) || new Date(expiresAt) <= new Date())) {
+        throw createHttpError(400, 'Expiry must be a date in the future');
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const apiKey = {
+        id,
+        userId,
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        secretHash: hashSecret(secret).toString('base64'),
+        createdAt: new Date().toISOString(),
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        lastUsedAt: null
+    };
+
+    return keysFile.change((apiKeys) => {
+        apiKeys.push(apiKey);
+        return { apiKey: toPublicApiKey(apiKey), key: `${KEY_PREFIX}_${id}_${secret}` };
+    });
+};
+
+// Revoke one of a user's keys; `anyUser` lets admins revoke anyone's
+export const deleteApiKey = (userId, id, { anyUser = false } = {}) => {
+    return keysFile.change((apiKeys) => {
+        const index = apiKeys.findIndex(apiKey => apiKey.id === id && (anyUser || apiKey.userId === userId));
+        if (index === -1) {
+            throw createHttpError(404, 'API key not found');
+        }
+        apiKeys.splice(index, 1);
+    });
+};
+
+// Resolve the stored key a bearer token stands for, or null when it is malformed, unknown, wrong
+// or expired. Records when the key was last used.
+export const authenticateApiKey = async (token) => {
+    const match = /^cfx_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/.exec(String(token || ''));
+    if (!match) {
+        return null;
+    }
+
+    const [, id, secret] = match;
+    const apiKey = (await keysFile.read()).find(candidate => candidate.id === id);
+    if (!apiKey || isExpired(apiKey)) {
+        return null;
+    }
+    if (!crypto.timingSafeEqual(hashSecret(secret), Buffer.from(apiKey.secretHash, 'base64'))) {
+        return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - Date.parse(apiKey.lastUsedAt) > LAST_USED_INTERVAL) {
+        const lastUsedAt = new Date().toISOString();
+        apiKey.lastUsedAt = lastUsedAt;
+
+        keysFile.change((apiKeys) => {
+            const stored = apiKeys.find(candidate => candidate.id === id);
+            if (stored) {
+                stored.lastUsedAt = lastUsedAt;
+            }
+        }).catch(error => console.error('Error recording API key use:', error));
+    }
+
+    return apiKey;
+};
+
+export default {
+    API_KEY_SCOPES,
+    toPublicApiKey,
+    listApiKeys,
+    createApiKey,
+    deleteApiKey,
+    authenticateApiKey
+};
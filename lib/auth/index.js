@@ -0,0 +1,126 @@
+// Authentication for API routes
+//
+// Signing in with a username and password (./users.js) sets an HttpOnly cookie holding a signed,
+// expiring session token (see ./tokens.js) for that user. Every API route except /api/auth is
+// wrapped with withAuth, which rejects requests without a valid token and, when given roles, users
+// without one of them. Logging out records the token id in the session store, so a copied cookie
+// stops working too.
+//
+// Single sign-on (./oidc.js) ends the same way: /api/oidc/callback starts a session for the user
+// the identity provider vouched for.
+//
+// Routes given a `scope` also accept personal API keys (./apiKeys.js) in an Authorization header,
+// when the key has that scope.
+import { getSessionStore } from '../uploadSessions';
+import { SESSION_TOKEN_TTL, createSessionToken, readSessionToken } from './tokens';
+import { getUser, toPublicUser } from './users';
+import { authenticateApiKey, toPublicApiKey } from './apiKeys';
+
+export const SESSION_COOKIE = 'cloudflux-session';
+
+// Cookies are only sent over HTTPS outside development
+const serializeCookie = (value, maxAge) => [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'SameSite=Strict',
+    process.env.NODE_ENV === 'production' ? 'Secure' : null
+].filter(Boolean).join('; ');
+
+// Token of an `Authorization: Bearer` header, or null
+const getBearerToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+};
+
+// Issue a session token for `user` as the response's cookie and return its payload
+export const startSession = (res, user) => {
+    const { token, payload } = createSessionToken({ sub: user.id });
+    res.setHeader('Set-Cookie', serializeCookie(token, SESSION_TOKEN_TTL));
+    return payload;
+};
+
+// Resolve { session, user } for the request's session token, or null when the token is missing,
+// invalid, expired or revoked, or its user is gone, disabled or was signed out everywhere
+export const getRequestSession = async (req) => {
+    const session = readSessionToken(req.cookies?.[SESSION_COOKIE]);
+    if (!session || await getSessionStore().isTokenRevoked(session.jti)) {
+        return null;
+    }
+
+    const user = await getUser(session.sub);
+    if (!user || user.disabled || (user.sessionsRevokedAt && session.iat * 1000 < user.sessionsRevokedAt)) {
+        return null;
+    }
+    return { session, user: toPublicUser(user) };
+};
+
+// Resolve { apiKey, user } for the API key in the request's Authorization header, or null when the
+// key is invalid or expired, or its user is gone or disabled
+export const getRequestApiKey = async (req) => {
+    const apiKey = await authenticateApiKey(getBearerToken(req));
+    if (!apiKey) {
+        return null;
+    }
+
+    const user = await getUser(apiKey.userId);
+    if (!user || user.disabled) {
+        return null;
+    }
+    return { apiKey: toPublicApiKey(apiKey), user: toPublicUser(user) };
+};
+
+// Revoke the request's session token until it would have expired, and clear the cookie
+export const endSession = async (req, res) => {
+    const session = readSessionToken(req.cookies?.[SESSION_COOKIE]);
+    if (session) {
+        await getSessionStore().revokeToken(session.jti, session.exp * 1000);
+    }
+    res.setHeader('Set-Cookie', serializeCookie('', 0));
+};
+
+// Wrap an API route handler so it only runs for signed-in users, with one of `roles` when given.
+// With a `scope` (or a function of the request returning one) the route also accepts API keys that
+// have it. The handler finds the user on req.user, and the token payload on req.session or the key
+// on req.apiKey.
+export const withAuth = (handler, { roles, scope } = {}) => async (req, res) => {
+    const usesApiKey = getBearerToken(req) !== null;
+    if (usesApiKey && !scope) {
+        return res.status(401).json({ message: 'API keys are not accepted here' });
+    }
+
+    let result;
+    try {
+        result = usesApiKey ? await getRequestApiKey(req) : await getRequestSession(req);
+    } catch (error) {
+        console.error('Session check error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+
+    if (!result) {
+        return res.status(401).json({ message: usesApiKey ? 'Invalid or expired API key' : 'Authentication required' });
+    }
+    if (roles && !roles.includes(result.user.role)) {
+        return res.status(403).json({ message: 'Your role does not allow this' });
+    }
+
+    const requiredScope = typeof scope === 'function' ? scope(req) : scope;
+    if (result.apiKey && !result.apiKey.scopes.includes(requiredScope)) {
+        return res.status(403).json({ message: `This API key does not have the ${requiredScope} scope` });
+    }
+
+    req.session = result.session || null;
+    req.apiKey = result.apiKey || null;
+    req.user = result.user;
+    return handler(req, res);
+};
+
+export default {
+    SESSION_COOKIE,
+    startSession,
+    getRequestSession,
+    getRequestApiKey,
+    endSession,
+    withAuth
+};
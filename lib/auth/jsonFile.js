@@ -0,0 +1,46 @@
+// A JSON array kept in one file, for the account stores in this directory. Every write goes to a
+// temporary name that is renamed into place, so readers never see partial JSON, and changes made
+// by this process are applied one at a time. Replicas must share the file.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// `getPath()` is read on every access so the location follows the environment
+export const createJsonFile = (getPath) => {
+    const read = async () => {
+        try {
+            return JSON.parse(await fs.promises.readFile(path.resolve(getPath()), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    };
+
+    const write = async (items) => {
+        const filePath = path.resolve(getPath());
+        const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(items, null, 2), { mode: 0o600 });
+        await fs.promises.rename(tempPath, filePath);
+    };
+
+    let pendingChange = Promise.resolve();
+
+    // Apply `apply(items)`, which mutates the array in place, and resolve what it returned
+    const change = (apply) => {
+        const result = pendingChange.then(async () => {
+            const items = await read();
+            const value = await apply(items);
+            await write(items);
+            return value;
+        });
+        pendingChange = result.catch(() => {});
+        return result;
+    };
+
+    return { read, change };
+};
+
+export default createJsonFile;
@@ -0,0 +1,288 @@
+// OpenID Connect single sign-on: the authorization code flow with PKCE, for a public client (no
+// client secret needed; OIDC_CLIENT_SECRET is sent when set, for providers that insist on one).
+//
+//   /api/oidc/login     stores state, nonce and the PKCE verifier in a short-lived signed cookie
+//                       and redirects to the provider's authorization endpoint
+//   /api/oidc/callback  checks the state, exchanges the code (with the verifier) for tokens,
+//                       verifies the ID token against the provider's JWKS and checks the allowed
+//                       groups and required claims
+//
+// The provider's endpoints come from OIDC_ISSUER/.well-known/openid-configuration.
+import crypto from 'crypto';
+import { createSignedToken, readSignedToken } from './tokens';
+
+export const OIDC_STATE_COOKIE = 'cloudflux-oidc';
+
+// The sign-in has ten minutes to come back from the provider
+const STATE_TTL = 10 * 60;
+
+// Discovery documents and key sets are fetched again after an hour
+const METADATA_TTL = 60 * 60 * 1000;
+
+// Clock difference tolerated when checking ID token times (seconds)
+const CLOCK_SKEW = 60;
+
+// Signature algorithms accepted for ID tokens, as crypto.verify arguments
+const SIGNATURE_ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+    PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+    PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+export const getOidcConfig = () => ({
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: process.env.OIDC_SCOPES || 'openid profile email',
+    label: process.env.OIDC_LABEL || 'Single sign-on',
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    allowedGroups: splitList(process.env.OIDC_ALLOWED_GROUPS),
+    adminGroups: splitList(process.env.OIDC_ADMIN_GROUPS),
+    // name=value pairs every sign-in must carry, e.g. email_verified=true,hd=example.com
+    requiredClaims: splitList(process.env.OIDC_REQUIRED_CLAIMS).map(pair => {
+        const index = pair.indexOf('=');
+        return index === -1 ? [pair, null] : [pair.slice(0, index), pair.slice(index + 1)];
+    })
+});
+
+export const isOidcEnabled = () => {
+    const { issuer, clientId } = getOidcConfig();
+    return Boolean(issuer && clientId);
+};
+
+// Error whose message is safe to show on the sign-in page
+const createOidcError = (message) => {
+    const error = new Error(message);
+    error.oidc = true;
+    return error;
+};
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+        throw createOidcError(`The identity provider refused the request (${reason})`);
+    }
+    return body;
+};
+
+// url -> { value, fetchedAt }
+const metadataCache = new Map();
+
+const fetchCached = async (url, { refresh = false } = {}) => {
+    const cached = metadataCache.get(url);
+    if (cached && !refresh && Date.now() - cached.fetchedAt < METADATA_TTL) {
+        return cached.value;
+    }
+
+    const value = await fetchJson(url);
+    metadataCache.set(url, { value, fetchedAt: Date.now() });
+    return value;
+};
+
+const getProviderMetadata = async () => {
+    const { issuer } = getOidcConfig();
+    const metadata = await fetchCached(`${issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+        throw new Error(`OIDC discovery returned issuer ${metadata.issuer}, expected ${issuer}`);
+    }
+    return metadata;
+};
+
+// Public key for a `kid`, fetching the key set again once when the key is unknown (rotation)
+const getSigningKey = async (jwksUri, kid) => {
+    for (const refresh of [false, true]) {
+        const { keys = [] } = await fetchCached(jwksUri, { refresh });
+        const jwk = keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+        if (jwk) {
+            return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        }
+    }
+    throw createOidcError('The ID token was signed with an unknown key');
+};
+
+const sha256Base64Url = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+const getRedirectUri = (req) => {
+    const { redirectUri } = getOidcConfig();
+    if (redirectUri) {
+        return redirectUri;
+    }
+
+    const protocol = (req.headers['x-forwarded-proto'] || '').split(',')[0] || (req.socket.encrypted ? 'https' : 'http');
+    return `${protocol}://${req.headers.host}/api/oidc/callback`;
+};
+
+// Cookie holding the state of a sign-in in progress. It must come back with the provider's
+// redirect, a cross-site navigation, so it is SameSite=Lax rather than Strict.
+const serializeStateCookie = (value, maxAge) => [
+    `${OIDC_STATE_COOKIE}=${value}`,
+    'Path=/api/oidc',
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    process.env.NODE_ENV === 'production' ? 'Secure' : null
+].filter(Boolean).join('; ');
+
+export const clearStateCookie = () => serializeStateCookie('', 0);
+
+// Start a sign-in: resolve the provider URL to redirect to and the state cookie to set
+export const createAuthorizationRequest = async (req) => {
+    const { clientId, scopes } = getOidcConfig();
+    const metadata = await getProviderMetadata();
+
+    const state = crypto.randomBytes(16).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const redirectUri = getRedirectUri(req);
+
+    const { token } = createSignedToken({ state, nonce, verifier, redirectUri }, STATE_TTL, 'oidc-state');
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes,
+        state,
+        nonce,
+        code_challenge: sha256Base64Url(verifier),
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return { url: url.toString(), cookie: serializeStateCookie(token, STATE_TTL) };
+};
+
+// Verify an ID token's signature and claims, and resolve its claims
+const verifyIdToken = async (idToken, metadata, nonce) => {
+    const { clientId } = getOidcConfig();
+    const [header, body, signature, ...rest] = String(idToken || '').split('.');
+    if (!header || !body || !signature || rest.length > 0) {
+        throw createOidcError('The identity provider returned a malformed ID token');
+    }
+
+    const { alg, kid } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    const algorithm = SIGNATURE_ALGORITHMS[alg];
+    if (!algorithm) {
+        throw createOidcError(`ID tokens signed with ${alg} are not supported`);
+    }
+
+    const key = await getSigningKey(metadata.jwks_uri, kid);
+    const { hash, ...keyOptions } = algorithm;
+    const valid = crypto.verify(
+        hash,
+        Buffer.from(`${header}.${body}`),
+        { key, ...keyOptions },
+        Buffer.from(signature, 'base64url')
+    );
+    if (!valid) {
+        throw createOidcError('The ID token signature is invalid');
+    }
+
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    const audiences = [].concat(claims.aud || []);
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.iss !== metadata.issuer) {
+        throw createOidcError('The ID token was issued by another provider');
+    }
+    if (!audiences.includes(clientId) || (audiences.length > 1 && claims.azp !== clientId)) {
+        throw createOidcError('The ID token was issued for another application');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW < now) {
+        throw createOidcError('The ID token has expired');
+    }
+    if (claims.nonce !== nonce) {
+        throw createOidcError('The ID token does not belong to this sign-in');
+    }
+    return claims;
+};
+
+const getGroups = (claims) => [].concat(claims[getOidcConfig().groupsClaim] || []).map(String);
+
+// Reject identities outside the allowed groups or without the required claims
+const checkAccess = (claims) => {
+    const { allowedGroups, requiredClaims } = getOidcConfig();
+
+    if (allowedGroups.length > 0 && !getGroups(claims).some(group => allowedGroups.includes(group))) {
+        throw createOidcError('Your account is not in a group allowed to use CloudFlux');
+    }
+
+    for (const [name, expected] of requiredClaims) {
+        const values = [].concat(claims[name] ?? []).map(String);
+        if (values.length === 0 || (expected !== null && !values.includes(expected))) {
+            throw createOidcError(`Your account is missing the required ${name} claim`);
+        }
+    }
+};
+
+// Finish a sign-in from the provider's redirect. Resolves { subject, username, role } for the
+// identity, where role is the role a new user gets.
+export const completeAuthorization = async (req) => {
+    const { clientId, clientSecret, usernameClaim, adminGroups } = getOidcConfig();
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    if (error) {
+        throw createOidcError(`Sign-in was not completed (${errorDescription || error})`);
+    }
+
+    const pending = readSignedToken(req.cookies?.[OIDC_STATE_COOKIE], 'oidc-state');
+    if (!pending || !state || pending.state !== state) {
+        throw createOidcError('The sign-in expired or was started in another browser; please try again');
+    }
+
+    const metadata = await getProviderMetadata();
+    const tokens = await fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code: String(code || ''),
+            redirect_uri: pending.redirectUri,
+            client_id: clientId,
+            code_verifier: pending.verifier,
+            ...(clientSecret && { client_secret: clientSecret })
+        }).toString()
+    });
+
+    let claims = await verifyIdToken(tokens.id_token, metadata, pending.nonce);
+
+    // Some providers only put groups in the userinfo response
+    if (!(getOidcConfig().groupsClaim in claims) && metadata.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        if (userinfo.sub === claims.sub) {
+            claims = { ...userinfo, ...claims };
+        }
+    }
+
+    checkAccess(claims);
+
+    const isAdmin = adminGroups.length > 0 && getGroups(claims).some(group => adminGroups.includes(group));
+    return {
+        subject: `${claims.iss}|${claims.sub}`,
+        username: String(claims[usernameClaim] || claims.email || claims.sub),
+        role: isAdmin ? 'admin' : (process.env.OIDC_DEFAULT_ROLE || 'uploader')
+    };
+};
+
+export default {
+    OIDC_STATE_COOKIE,
+    getOidcConfig,
+    isOidcEnabled,
+    clearStateCookie,
+    createAuthorizationRequest,
+    completeAuthorization
+};
@@ -0,0 +1,76 @@
+// Signed tokens: JWTs (HS256) signed with keys derived from APP_SECRET_KEY, so changing the secret
+// signs every session out. Each purpose (sessions, single sign-on state) derives its own key, so a
+// token issued for one is never accepted for another. Session tokens carry an id (jti) that logout
+// revokes.
+import crypto from 'crypto';
+
+// Sessions last a day unless configured otherwise (seconds)
+export const SESSION_TOKEN_TTL = parseInt(process.env.APP_SESSION_TTL || String(24 * 60 * 60), 10);
+
+const TOKEN_HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+// The secret key is never used directly as a signing key
+const getSigningKey = (purpose) => {
+    const secret = process.env.APP_SECRET_KEY;
+    if (!secret) {
+        throw new Error('APP_SECRET_KEY is not configured');
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', secret, 'cloudflux', purpose, 32));
+};
+
+const sign = (data, purpose) => crypto.createHmac('sha256', getSigningKey(purpose)).update(data).digest('base64url');
+
+// Create a token for `claims`, expiring after `ttl` seconds. Returns the token and its payload.
+export const createSignedToken = (claims, ttl, purpose) => {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        ...claims,
+        iat: now,
+        exp: now + ttl,
+        jti: crypto.randomBytes(16).toString('hex')
+    };
+
+    const data = `${TOKEN_HEADER}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+    return { token: `${data}.${sign(data, purpose)}`, payload };
+};
+
+// Payload of a token signed for `purpose` with the current key that has not expired, or null
+export const readSignedToken = (token, purpose) => {
+    const [header, body, signature, ...rest] = String(token || '').split('.');
+    if (header !== TOKEN_HEADER || !body || !signature || rest.length > 0) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(`${header}.${body}`, purpose));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (typeof payload?.exp !== 'number' || payload.exp * 1000 <= Date.now()) {
+        return null;
+    }
+    return payload;
+};
+
+export const createSessionToken = (claims = {}, ttl = SESSION_TOKEN_TTL) => {
+    return createSignedToken(claims, ttl, 'session-token');
+};
+
+// Revocation is checked by the caller
+export const readSessionToken = (token) => readSignedToken(token, 'session-token');
+
+export default {
+    SESSION_TOKEN_TTL,
+    createSignedToken,
+    readSignedToken,
+    createSessionToken,
+    readSessionToken
+};
@@ -0,0 +1,237 @@
+// User accounts, kept in one JSON file (APP_USERS_FILE, default ./.cloudflux-users.json)
+//
+// A user is { id, username, role, passwordHash, disabled, sessionsRevokedAt, createdAt, updatedAt },
+// plus oidcSubject ('<issuer>|<sub>') for users who sign in through single sign-on (./oidc.js); those
+// have no password. Passwords are hashed with scrypt and a random salt. Sessions issued before
+// sessionsRevokedAt (ms) are rejected, which signs one user out everywhere.
+//
+// When no user exists yet, APP_ADMIN_USERNAME (default 'admin') and APP_ADMIN_PASSWORD create the
+// first admin on the first sign-in.
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { createHttpError } from '../http';
+import { createJsonFile } from './jsonFile';
+
+const scrypt = promisify(crypto.scrypt);
+
+// viewer: browse stored files, uploader: also upload, admin: also manage users
+export const ROLES = ['viewer', 'uploader', 'admin'];
+
+export const UPLOAD_ROLES = ['uploader', 'admin'];
+
+// Usernames end up in object metadata, which only allows plain ASCII
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+const usersFile = createJsonFile(() => process.env.APP_USERS_FILE || './.cloudflux-users.json');
+const readUsers = usersFile.read;
+const changeUsers = usersFile.change;
+
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+};
+
+export const verifyPassword = async (password, passwordHash) => {
+    const [scheme, salt, hash] = String(passwordHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// Checked against when the username is unknown, so both cases take as long
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// The user without its password hash, as sent to the browser
+export const toPublicUser = ({ passwordHash, ...user }) => user;
+
+const validateUsername = (username) => {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw createHttpError(400, 'Usernames are 1 to 64 letters, digits, dots, dashes, underscores or @');
+    }
+};
+
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw createHttpError(400, `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+};
+
+const validateRole = (role) => {
+    if (!ROLES.includes(role)) {
+        throw createHttpError(400, `Role must be one of ${ROLES.join(', ')}`);
+    }
+};
+
+const isActiveAdmin = (user) => user.role === 'admin' && !user.disabled;
+
+const createUserRecord = async ({ username, password, role }) => {
+    const now = new Date().toISOString();
+    return {
+        id: uuidv4(),
+        username,
+        role,
+        passwordHash: password ? await hashPassword(password) : null,
+        disabled: false,
+        sessionsRevokedAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+};
+
+export const listUsers = async () => {
+    const users = await readUsers();
+    return users.map(toPublicUser);
+};
+
+export const getUser = async (id) => {
+    const users = await readUsers();
+    return users.find(user => user.id === id) || null;
+};
+
+export const createUser = ({ username, password, role = 'uploader' }) => {
+    validateUsername(username);
+    validatePassword(password);
+    validateRole(role);
+
+    return changeUsers(async (users) => {
+        if (users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+            throw createHttpError(409, 'A user with this name already exists');
+        }
+
+        const user = await createUserRecord({ username, password, role });
+        users.push(user);
+        return toPublicUser(user);
+    });
+};
+
+// Apply { role, password, disabled, revokeSessions } to a user. Changing the password or
+// disabling the user also signs the user out everywhere.
+export const updateUser = (id, { role, password, disabled, revokeSessions }) => {
+    if (role !== undefined) {
+        validateRole(role);
+    }
+    if (password !== undefined) {
+        validatePassword(password);
+    }
+
+    return changeUsers(async (users) => {
+        const user = users.find(candidate => candidate.id === id);
+        if (!user) {
+            throw createHttpError(404, 'User not found');
+        }
+
+        const updated = {
+            ...user,
+            ...(role !== undefined && { role }),
+            ...(disabled !== undefined && { disabled: Boolean(disabled) }),
+            ...(password !== undefined && { passwordHash: await hashPassword(password) }),
+            updatedAt: new Date().toISOString()
+        };
+
+        if (isActiveAdmin(user) && !isActiveAdmin(updated) && users.filter(isActiveAdmin).length === 1) {
+            throw createHttpError(409, 'The last admin cannot be demoted or disabled');
+        }
+
+        if (revokeSessions || password !== undefined || updated.disabled) {
+            updated.sessionsRevokedAt = Date.now();
+        }
+
+        Object.assign(user, updated);
+        return toPublicUser(user);
+    });
+};
+
+export const deleteUser = (id) => {
+    return changeUsers(async (users) => {
+        const index = users.findIndex(user => user.id === id);
+        if (index === -1) {
+            throw createHttpError(404, 'User not found');
+        }
+        if (isActiveAdmin(users[index]) && users.filter(isActiveAdmin).length === 1) {
+            throw createHttpError(409, 'The last admin cannot be deleted');
+        }
+
+        users.splice(index, 1);
+    });
+};
+
+// Create the first admin from APP_ADMIN_USERNAME and APP_ADMIN_PASSWORD when there is no user yet
+const ensureInitialAdmin = async () => {
+    const password = process.env.APP_ADMIN_PASSWORD;
+    if (!password || (await readUsers()).length > 0) {
+        return;
+    }
+
+    await changeUsers(async (users) => {
+        if (users.length === 0) {
+            users.push(await createUserRecord({
+                username: process.env.APP_ADMIN_USERNAME || 'admin',
+                password,
+                role: 'admin'
+            }));
+        }
+    });
+};
+
+// Resolve the user signing in through single sign-on as `subject`, creating it on its first sign-in
+// with `role` and a username derived from `username` (made valid and unique). Disabled users
+// resolve too; the caller turns them away.
+export const findOrCreateOidcUser = ({ subject, username, role }) => {
+    validateRole(role);
+
+    return changeUsers(async (users) => {
+        const existing = users.find(user => user.oidcSubject === subject);
+        if (existing) {
+            return existing;
+        }
+
+        const base = username.replace(/[^A-Za-z0-9._@-]/g, '-').slice(0, 60) || 'user';
+        const isTaken = (name) => users.some(user => user.username.toLowerCase() === name.toLowerCase());
+        let uniqueName = base;
+        for (let suffix = 2; isTaken(uniqueName); suffix++) {
+            uniqueName = `${base}-${suffix}`;
+        }
+
+        const user = { ...await createUserRecord({ username: uniqueName, role }), oidcSubject: subject };
+        users.push(user);
+        return user;
+    });
+};
+
+// Resolve the enabled user with these credentials, or null
+export const authenticateUser = async (username, password) => {
+    await ensureInitialAdmin();
+
+    const users = await readUsers();
+    const user = users.find(candidate => candidate.username.toLowerCase() === String(username).toLowerCase());
+
+    // Single sign-on users have no password
+    const passwordMatches = await verifyPassword(String(password), user?.passwordHash || await DUMMY_HASH);
+    if (!user || !passwordMatches || user.disabled) {
+        return null;
+    }
+    return user;
+};
+
+export default {
+    ROLES,
+    UPLOAD_ROLES,
+    hashPassword,
+    verifyPassword,
+    toPublicUser,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    findOrCreateOidcUser,
+    authenticateUser
+};
@@ -0,0 +1,93 @@
+// Page side of background uploads: registers the upload engine (lib/uploadEngine.sw.js), hands
+// files over to it and listens to what it reports. See lib/uploadEngine.js for the messages.
+import { uploadQueueService } from './db';
+import { ENGINE_MESSAGE_SOURCE } from './uploadEngine';
+
+let registration = null;
+
+// Background uploads need a service worker that can read Files stored in IndexedDB
+export const canUploadInBackground = () => {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof indexedDB !== 'undefined';
+};
+
+// Resolve once the registration has an active worker
+const whenActive = (serviceWorkerRegistration) => new Promise((resolve) => {
+  if (serviceWorkerRegistration.active) {
+    resolve(serviceWorkerRegistration);
+    return;
+  }
+
+  const worker = serviceWorkerRegistration.installing || serviceWorkerRegistration.waiting;
+  worker.addEventListener('statechange', function onStateChange() {
+    if (worker.state === 'activated') {
+      worker.removeEventListener('statechange', onStateChange);
+      resolve(serviceWorkerRegistration);
+    }
+  });
+});
+
+// Register (once) the engine and resolve its registration. The worker is scoped to its bundle
+// directory: it does not control pages, it only uploads.
+export const getUploadEngine = () => {
+  if (!registration) {
+    registration = navigator.serviceWorker
+      .register(new URL('./uploadEngine.sw.js', import.meta.url))
+      .then(whenActive)
+      .catch(error => {
+        registration = null;
+        throw error;
+      });
+  }
+  return registration;
+};
+
+export const postToUploadEngine = async (message) => {
+  const engine = await getUploadEngine();
+  engine.active.postMessage(message);
+};
+
+// Hand queued files over to the engine and have it start on them, keeping to the given upload
+// limits (see lib/uploadLimits.js). The files must already be in the upload queue; nothing is
+// handed over when the engine cannot be registered.
+export const handOverUploads = async (files, limits) => {
+  const engine = await getUploadEngine();
+  await Promise.all(files.map(file => uploadQueueService.handOver(file.id, file.file || file, limits)));
+  engine.active.postMessage({ type: 'start' });
+};
+
+// Call `onMessage(message)` for every message of the engine; returns a function that stops
+export const subscribeToUploadEngine = (onMessage) => {
+  const onEngineMessage = (event) => {
+    if (event.data?.source === ENGINE_MESSAGE_SOURCE) {
+      onMessage(event.data);
+    }
+  };
+
+  navigator.serviceWorker.addEventListener('message', onEngineMessage);
+  navigator.serviceWorker.startMessages();
+  return () => navigator.serviceWorker.removeEventListener('message', onEngineMessage);
+};
+
+// Follow the progress of a background fetch sending a file's chunks: `onUploaded(bytes)` gets the
+// bytes of the file stored so far. Returns a function that stops.
+export const watchBackgroundFetch = async ({ id, offset }, onUploaded) => {
+  const engine = await getUploadEngine();
+  const backgroundFetch = 'backgroundFetch' in engine ? await engine.backgroundFetch.get(id) : null;
+  if (!backgroundFetch) {
+    return () => {};
+  }
+
+  const onProgress = () => onUploaded(offset + backgroundFetch.uploaded);
+  backgroundFetch.addEventListener('progress', onProgress);
+  onProgress();
+  return () => backgroundFetch.removeEventListener('progress', onProgress);
+};
+
+export default {
+  canUploadInBackground,
+  getUploadEngine,
+  postToUploadEngine,
+  handOverUploads,
+  subscribeToUploadEngine,
+  watchBackgroundFetch
+};
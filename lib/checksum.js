@@ -0,0 +1,145 @@
+// Server-side integrity checks for uploaded chunks
+//
+// Chunk checksums are base64 SHA-256 digests. The checksum of a whole upload is a composite in the
+// format S3 uses for multipart objects: the base64 SHA-256 of the concatenated binary digests of
+// every part, in part order, followed by "-<number of parts>". The content hash used for
+// deduplication is the same composite over fixed-size blocks instead of parts (see
+// lib/contentHash.js), which this route recomputes from the block digests of the chunks it streams.
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+// Algorithm clients announce with `checksumAlgorithm` when they send chunk checksums
+export const CHECKSUM_ALGORITHM = 'SHA-256';
+
+// Size of the blocks of a content hash, as in lib/contentHash.js
+export const CONTENT_HASH_BLOCK_SIZE = 8 * 1024 * 1024;
+
+// Base64 SHA-256 of a buffer
+export const sha256Base64 = (data) => crypto.createHash('sha256').update(data).digest('base64');
+
+// Pass-through stream that hashes what flows through it; digest() is available once it ended.
+// With an expected digest the stream fails before it ends when the data does not match, so the
+// consumer (a provider storing the part) never sees a complete body.
+export const createChecksumStream = (expected = null) => {
+    const hash = crypto.createHash('sha256');
+    let digest = null;
+
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+        },
+        flush(callback) {
+            digest = hash.digest('base64');
+            if (expected && digest !== expected) {
+                const error = new Error('Checksum mismatch');
+                error.checksumMismatch = true;
+                return callback(error);
+            }
+            callback();
+        }
+    });
+    stream.digest = () => digest;
+
+    return stream;
+};
+
+// Pass-through stream that hashes what flows through it in blocks of `blockSize` bytes, the last
+// one possibly shorter; digests() resolves the base64 SHA-256 of every block once it ended, and
+// null before
+export const createBlockHashStream = (blockSize = CONTENT_HASH_BLOCK_SIZE) => {
+    const digests = [];
+    let hash = crypto.createHash('sha256');
+    let filled = 0;
+    let ended = false;
+
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            for (let offset = 0; offset < chunk.length;) {
+                const length = Math.min(blockSize - filled, chunk.length - offset);
+                hash.update(chunk.subarray(offset, offset + length));
+                filled += length;
+                offset += length;
+
+                if (filled === blockSize) {
+                    digests.push(hash.digest('base64'));
+                    hash = crypto.createHash('sha256');
+                    filled = 0;
+                }
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (filled > 0) {
+                digests.push(hash.digest('base64'));
+            }
+            ended = true;
+            callback();
+        }
+    });
+    stream.digests = () => (ended ? digests : null);
+
+    return stream;
+};
+
+// Base64 SHA-256 digests of the blocks of a buffer
+export const hashBlocks = (data, blockSize = CONTENT_HASH_BLOCK_SIZE) => {
+    const digests = [];
+    for (let offset = 0; offset < data.length; offset += blockSize) {
+        digests.push(sha256Base64(data.subarray(offset, offset + blockSize)));
+    }
+    return digests;
+};
+
+// Composite checksum of an upload, or null when a part has no checksum
+export const getCompositeChecksum = (parts) => {
+    if (parts.length === 0 || parts.some(part => !part.checksum)) {
+        return null;
+    }
+
+    const digests = [...parts]
+        .sort((a, b) => a.partNumber - b.partNumber)
+        .map(part => Buffer.from(part.checksum, 'base64'));
+
+    return `${sha256Base64(Buffer.concat(digests))}-${parts.length}`;
+};
+
+// Content hash of an upload from the block digests recorded with its parts, or null when a part
+// has none. Parts must hold whole blocks, which sessions with a content hash ensure.
+export const getContentHash = (parts) => {
+    if (parts.length === 0 || parts.some(part => !part.blockHashes)) {
+        return null;
+    }
+
+    const digests = [...parts]
+        .sort((a, b) => a.partNumber - b.partNumber)
+        .flatMap(part => part.blockHashes.map(digest => Buffer.from(digest, 'base64')));
+
+    return `${sha256Base64(Buffer.concat(digests))}-${digests.length}`;
+};
+
+// Whether a value has the composite checksum format, e.g. a content hash sent by a client
+export const isCompositeChecksum = (value) => {
+    return typeof value === 'string' && /^[A-Za-z0-9+/]{43}=-[1-9][0-9]*$/.test(value);
+};
+
+// Custom object metadata recording the checksums of an upload session: checksum_sha256 is the
+// composite of its verified parts, content_sha256 the content hash used for deduplication, once
+// the route recomputed it
+export const getChecksumMetadata = (session) => ({
+    ...(session.checksum && { checksum_sha256: session.checksum }),
+    ...(session.contentHash && { content_sha256: session.contentHash })
+});
+
+export default {
+    CHECKSUM_ALGORITHM,
+    CONTENT_HASH_BLOCK_SIZE,
+    sha256Base64,
+    createChecksumStream,
+    createBlockHashStream,
+    hashBlocks,
+    getCompositeChecksum,
+    getContentHash,
+    isCompositeChecksum,
+    getChecksumMetadata
+};
@@ -0,0 +1,91 @@
+// Browser helpers for chunk checksums, computed with Web Crypto in the format lib/checksum.js
+// verifies on the server: base64 SHA-256 per chunk, and a composite of the chunk digests for the file.
+// Chunks sent straight to a GCS resumable session get a CRC32C instead, which GCS computes as well.
+
+// Algorithm announced to the server with `checksumAlgorithm`
+export const CHECKSUM_ALGORITHM = 'SHA-256';
+
+// Web Crypto is only available in secure contexts (HTTPS or localhost)
+export const canComputeChecksums = () => {
+  return typeof crypto !== 'undefined' && typeof crypto.subtle?.digest === 'function';
+};
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+// Base64 SHA-256 of bytes already read (an ArrayBuffer or typed array)
+export const computeChecksum = async (data) => toBase64(await crypto.subtle.digest('SHA-256', data));
+
+// Base64 SHA-256 of a Blob (a slice of the file)
+export const computeChunkChecksum = async (chunk) => computeChecksum(await chunk.arrayBuffer());
+
+// Composite checksum of a file from its parts ([{ partNumber, checksum }]), or null when a part has none
+export const getCompositeChecksum = async (parts) => {
+  if (parts.length === 0 || parts.some(part => !part.checksum)) {
+    return null;
+  }
+
+  const digests = [...parts]
+    .sort((a, b) => a.partNumber - b.partNumber)
+    .map(part => fromBase64(part.checksum));
+
+  const joined = new Uint8Array(digests.reduce((total, digest) => total + digest.length, 0));
+  let offset = 0;
+  digests.forEach(digest => {
+    joined.set(digest, offset);
+    offset += digest.length;
+  });
+
+  return `${await computeChecksum(joined)}-${parts.length}`;
+};
+
+// CRC32C (Castagnoli) lookup table, built on first use
+let crc32cTable = null;
+
+const getCrc32cTable = () => {
+  if (!crc32cTable) {
+    crc32cTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let crc = n;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? (crc >>> 1) ^ 0x82f63b78 : crc >>> 1;
+      }
+      crc32cTable[n] = crc;
+    }
+  }
+  return crc32cTable;
+};
+
+// Base64 CRC32C of bytes already read (an ArrayBuffer or typed array), big-endian like the crc32c
+// GCS reports for objects
+export const computeCrc32c = (data) => {
+  const table = getCrc32cTable();
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  crc = (crc ^ 0xffffffff) >>> 0;
+
+  return toBase64(new Uint8Array([crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff]));
+};
+
+export default {
+  CHECKSUM_ALGORITHM,
+  canComputeChecksums,
+  computeChecksum,
+  computeChunkChecksum,
+  getCompositeChecksum,
+  computeCrc32c
+};
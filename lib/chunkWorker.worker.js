@@ -0,0 +1,51 @@
+// Web Worker preparing upload data off the main thread (see lib/chunkWorkers.js). Jobs:
+//
+//   { type: 'chunk', file, start, end, checksum, crc32c }
+//       reads bytes start..end of a File; resolves { body, checksum, crc32c } with the bytes as an
+//       ArrayBuffer (transferred, not copied), their base64 SHA-256 when `checksum` is set and
+//       their base64 CRC32C when `crc32c` is set
+//   { type: 'contentHash', file, blockSize }
+//       resolves the content hash of a File (see lib/contentHash.js), reporting progress after
+//       every block
+//
+// Answers follow the lib/workerPool.js protocol.
+import { computeChecksum, computeChunkChecksum, computeCrc32c, getCompositeChecksum } from './chunkChecksum';
+
+const prepareChunk = async ({ id, file, start, end, checksum, crc32c }) => {
+  const body = await file.slice(start, end).arrayBuffer();
+  const result = {
+    body,
+    checksum: checksum ? await computeChecksum(body) : null,
+    crc32c: crc32c ? computeCrc32c(body) : null
+  };
+
+  self.postMessage({ id, result }, [body]);
+};
+
+const hashContent = async ({ id, file, blockSize }) => {
+  const blocks = [];
+
+  for (let start = 0; start < file.size; start += blockSize) {
+    blocks.push({
+      partNumber: blocks.length + 1,
+      checksum: await computeChunkChecksum(file.slice(start, start + blockSize))
+    });
+    self.postMessage({ id, progress: Math.min(start + blockSize, file.size) / file.size });
+  }
+
+  self.postMessage({ id, result: await getCompositeChecksum(blocks) });
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === 'chunk') {
+      await prepareChunk(data);
+    } else if (data.type === 'contentHash') {
+      await hashContent(data);
+    } else {
+      throw new Error(`Unknown job type: ${data.type}`);
+    }
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error.message || 'Could not read the file' });
+  }
+};
@@ -0,0 +1,81 @@
+// Shared pool of chunk workers (lib/chunkWorker.worker.js) for the uploader: reading chunks into
+// ready-to-send payloads, hashing them and hashing whole files happen off the main thread, so
+// the page stays responsive with several large uploads in flight. Without Web Workers the same
+// work runs on the main thread.
+//
+// Whole files are hashed on a worker of their own, one file at a time, so hashing a large file never
+// holds up chunks.
+import { createWorkerPool } from './workerPool';
+import { computeChecksum, computeCrc32c } from './chunkChecksum';
+
+// Leave a core for the page, but keep two workers so one slow read does not hold up the next chunk
+const getPoolSize = () => {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+  return Math.min(4, Math.max(2, cores - 1));
+};
+
+let pool = null;
+let contentHashPool = null;
+
+export const canUseChunkWorkers = () => typeof Worker !== 'undefined';
+
+// Get (and lazily create) the pool
+export const getChunkWorkerPool = () => {
+  if (!pool) {
+    pool = createWorkerPool({
+      createWorker: () => new Worker(new URL('./chunkWorker.worker.js', import.meta.url)),
+      size: getPoolSize()
+    });
+  }
+  return pool;
+};
+
+// Get (and lazily create) the single worker that hashes whole files
+export const getContentHashPool = () => {
+  if (!contentHashPool) {
+    contentHashPool = createWorkerPool({
+      createWorker: () => new Worker(new URL('./chunkWorker.worker.js', import.meta.url)),
+      size: 1
+    });
+  }
+  return contentHashPool;
+};
+
+// Read bytes start..end of a File into { body, checksum, crc32c }: an ArrayBuffer to send as the
+// request body, its base64 SHA-256 when `checksum` is set and its base64 CRC32C when `crc32c` is
+// set. `onStart()` is called once a worker takes the chunk, after any wait for one.
+export const prepareChunk = async (file, start, end, { checksum = false, crc32c = false, onStart = null } = {}) => {
+  if (canUseChunkWorkers()) {
+    return getChunkWorkerPool().run({ type: 'chunk', file, start, end, checksum, crc32c }, { onStart });
+  }
+
+  if (typeof onStart === 'function') {
+    onStart();
+  }
+  const body = await file.slice(start, end).arrayBuffer();
+  return {
+    body,
+    checksum: checksum ? await computeChecksum(body) : null,
+    crc32c: crc32c ? computeCrc32c(body) : null
+  };
+};
+
+// Stop the workers; a later job starts new ones
+export const terminateChunkWorkers = () => {
+  if (pool) {
+    pool.terminate();
+    pool = null;
+  }
+  if (contentHashPool) {
+    contentHashPool.terminate();
+    contentHashPool = null;
+  }
+};
+
+export default {
+  canUseChunkWorkers,
+  getChunkWorkerPool,
+  getContentHashPool,
+  prepareChunk,
+  terminateChunkWorkers
+};
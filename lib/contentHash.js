@@ -0,0 +1,30 @@
+// Content hashes for deduplicating uploads.
+//
+// A file's content hash is the composite checksum (see lib/chunkChecksum.js) of its 8MiB blocks:
+// the base64 SHA-256 of the concatenated SHA-256 digests of every block, followed by
+// "-<number of blocks>". Unlike the checksum of an upload it does not depend on the chunk size the
+// upload used, so identical files always get the same hash. It is computed by a chunk worker of its
+// own (lib/chunkWorkers.js) so hashing a large file blocks neither the page nor chunk uploads.
+import { canComputeChecksums } from './chunkChecksum';
+import { canUseChunkWorkers, getContentHashPool } from './chunkWorkers';
+
+// Size of the blocks hashed separately; changing it changes every content hash
+export const CONTENT_HASH_BLOCK_SIZE = 8 * 1024 * 1024;
+
+// Hashing needs Web Workers and Web Crypto (secure contexts only)
+export const canHashContent = () => canUseChunkWorkers() && canComputeChecksums();
+
+// Resolve the content hash of a File, or null for an empty file. `onProgress(fraction)` is called
+// after every block.
+export const hashFileContent = (file, onProgress = null) => {
+  return getContentHashPool().run(
+    { type: 'contentHash', file, blockSize: CONTENT_HASH_BLOCK_SIZE },
+    { onProgress }
+  );
+};
+
+export default {
+  CONTENT_HASH_BLOCK_SIZE,
+  canHashContent,
+  hashFileContent
+};
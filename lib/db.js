@@ -1,5 +1,4 @@
 import Dexie from 'dexie';
-import Cookies from 'js-cookie';
 
 // Create IndexedDB instance with Dexie
 export const db = new Dexie('s3UploaderDB');
@@ -10,32 +9,80 @@ db.version(1).stores({
   uploadQueue: '++id, fileName, fileSize, fileType, addedAt, status, retryCount, fileId',
 });
 
+// Version 2 keeps each queued file's server-side upload session (uploadId, fileKey, chunkSize,
+// completedParts) so an interrupted upload can resume, and indexes files by name, size and
+// modification time to recognise them when they are selected again. Entries also keep the
+// FileSystemFileHandle of files picked through the File System Access API (fileHandle, not indexed),
+// which re-attaches them after a reload. Files handed to the background upload engine also keep the
+// File itself, the upload limits and the engine's state (background, file, limits, backgroundFetch,
+// statsPending; not indexed).
+db.version(2).stores({
+  uploadQueue: '++id, fileName, fileSize, fileType, addedAt, status, retryCount, fileId, [fileName+fileSize+lastModified]',
+}).upgrade(tx => {
+  return tx.table('uploadQueue').toCollection().modify(item => {
+    item.completedParts = item.completedParts || [];
+  });
+});
+
 // Constants for local storage keys
 const STORAGE_KEYS = {
-  ACCESS_TOKEN: 's3-uploader-access-token',
   UPLOAD_STATS: 's3-uploader-stats',
   THEME_PREFERENCE: 's3-uploader-theme',
   LAST_UPLOAD_DIR: 's3-uploader-last-dir',
+  UPLOAD_LIMITS: 's3-uploader-upload-limits',
 };
 
-// Session management
+// Rates are in bytes per second (0 for no limit). startAt is an ISO date before which no upload
+// starts; windowStart and windowEnd ('HH:MM', local time) restrict uploads to a daily window.
+export const DEFAULT_UPLOAD_LIMITS = {
+  totalRate: 0,
+  fileRate: 0,
+  startAt: null,
+  windowStart: null,
+  windowEnd: null,
+};
+
+// Session management. The session token is an HttpOnly cookie set by /api/auth, so only the
+// server can tell whether it is valid.
 export const sessionManager = {
-  // Set authenticated session with expiry
-  setSession: (token, expiryHours = 24) => {
-    const expires = new Date(new Date().getTime() + expiryHours * 60 * 60 * 1000);
-    Cookies.set(STORAGE_KEYS.ACCESS_TOKEN, token, { expires, secure: true, sameSite: 'strict' });
-    return true;
+  // Resolves { user, expiresAt } of the signed-in user, or null
+  getSession: async () => {
+    try {
+      const response = await fetch('/api/auth');
+      const data = await response.json();
+      return response.ok && data.authenticated ? { user: data.user, expiresAt: data.expiresAt } : null;
+    } catch (error) {
+      console.error('Error checking session:', error);
+      return null;
+    }
   },
-  
-  // Check if session exists and is valid
-  checkSession: () => {
-    return !!Cookies.get(STORAGE_KEYS.ACCESS_TOKEN);
+
+  // Resolves the ways the server offers to sign in: { password, sso: { label, url } or null }
+  getSignInOptions: async () => {
+    try {
+      const response = await fetch('/api/auth');
+      const data = await response.json();
+      return data.signIn || { password: true, sso: null };
+    } catch (error) {
+      console.error('Error loading sign-in options:', error);
+      return { password: true, sso: null };
+    }
+  },
+
+  // Resolves whether the server accepts the session cookie
+  checkSession: async () => {
+    return Boolean(await sessionManager.getSession());
   },
   
-  // Clear session
-  clearSession: () => {
-    Cookies.remove(STORAGE_KEYS.ACCESS_TOKEN);
-    return true;
+  // Sign out: the server revokes the session token and clears its cookie
+  clearSession: async () => {
+    try {
+      const response = await fetch('/api/auth', { method: 'DELETE' });
+      return response.ok;
+    } catch (error) {
+      console.error('Error clearing session:', error);
+      return false;
+    }
   }
 };
 
@@ -166,6 +213,40 @@ export const dirPathManager = {
   }
 };
 
+// Upload rate limits and schedule manager
+export const uploadLimitsManager = {
+  getLimits: () => {
+    try {
+      const limits = localStorage.getItem(STORAGE_KEYS.UPLOAD_LIMITS);
+      return limits ? { ...DEFAULT_UPLOAD_LIMITS, ...JSON.parse(limits) } : DEFAULT_UPLOAD_LIMITS;
+    } catch (error) {
+      return DEFAULT_UPLOAD_LIMITS;
+    }
+  },
+
+  setLimits: (limits) => {
+    try {
+      localStorage.setItem(STORAGE_KEYS.UPLOAD_LIMITS, JSON.stringify(limits));
+      return true;
+    } catch (error) {
+      console.error('Error saving upload limits:', error);
+      return false;
+    }
+  },
+
+  // Call `onChange(limits)` whenever another tab saves limits; returns a function that stops
+  subscribe: (onChange) => {
+    const onStorage = (event) => {
+      if (event.key === STORAGE_KEYS.UPLOAD_LIMITS) {
+        onChange(uploadLimitsManager.getLimits());
+      }
+    };
+
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }
+};
+
 // Upload history service
 export const uploadHistoryService = {
   // Add new upload to history
@@ -226,20 +307,38 @@ export const uploadHistoryService = {
 
 // Upload queue service
 export const uploadQueueService = {
-  // Add files to queue
+  // Add files to queue, skipping files that are already queued
   addToQueue: async (files) => {
     try {
-      const fileEntries = files.map(file => ({
-        fileName: file.name,
-        fileSize: file.size,
-        fileType: file.type,
-        addedAt: new Date().toISOString(),
-        status: 'pending',
-        retryCount: 0,
-        fileId: file.id || crypto.randomUUID()
-      }));
+      const queued = await db.uploadQueue
+        .where('fileId')
+        .anyOf(files.map(file => file.id).filter(Boolean))
+        .toArray();
+      const queuedIds = new Set(queued.map(item => item.fileId));
+
+      const fileEntries = files
+        .filter(file => !queuedIds.has(file.id))
+        .map(file => ({
+          fileName: file.name,
+          fileSize: file.size,
+          fileType: file.type,
+          lastModified: file.lastModified,
+          addedAt: new Date().toISOString(),
+          status: 'pending',
+          retryCount: 0,
+          completedParts: [],
+          fileHandle: file.handle || null,
+          fileId: file.id || crypto.randomUUID()
+        }));
       
       const ids = await db.uploadQueue.bulkAdd(fileEntries);
+
+      // Files selected again may come with a handle their queued entry lacks
+      await Promise.all(
+        files
+          .filter(file => queuedIds.has(file.id) && file.handle)
+          .map(file => db.uploadQueue.where({ fileId: file.id }).modify({ fileHandle: file.handle }))
+      );
       return ids;
     } catch (error) {
       console.error('Error adding to upload queue:', error);
@@ -266,6 +365,224 @@ export const uploadQueueService = {
     }
   },
   
+  // Count one more attempt at a request of an upload
+  incrementRetryCount: async (fileId) => {
+    try {
+      await db.uploadQueue
+        .where({ fileId })
+        .modify(item => {
+          item.retryCount = (item.retryCount || 0) + 1;
+        });
+
+      return true;
+    } catch (error) {
+      console.error('Error updating retry count in queue:', error);
+      return false;
+    }
+  },
+
+  // Get the queue entry of a file
+  getByFileId: async (fileId) => {
+    try {
+      return await db.uploadQueue.where({ fileId }).first() || null;
+    } catch (error) {
+      console.error('Error fetching file from queue:', error);
+      return null;
+    }
+  },
+
+  // Find an unfinished upload of the same file (name, size and modification time) that can resume,
+  // other than those of the files in `exclude`
+  findResumable: async ({ name, size, lastModified }, { exclude = [] } = {}) => {
+    try {
+      const entries = await db.uploadQueue
+        .where('[fileName+fileSize+lastModified]')
+        .equals([name, size, lastModified])
+        .toArray();
+
+      return entries.find(entry =>
+        entry.fileKey &&
+        !['completed', 'cancelled'].includes(entry.status) &&
+        !exclude.includes(entry.fileId)
+      ) || null;
+    } catch (error) {
+      console.error('Error looking up resumable upload:', error);
+      return null;
+    }
+  },
+
+  // Remember the server-side session of an upload, forgetting parts of any previous session
+  saveSession: async (fileId, { uploadId, fileKey, chunkSize, totalChunks, direct }) => {
+    try {
+      await db.uploadQueue
+        .where({ fileId })
+        .modify({
+          uploadId: uploadId || null,
+          fileKey,
+          chunkSize,
+          totalChunks,
+          direct: direct || null,
+          completedParts: []
+        });
+
+      return true;
+    } catch (error) {
+      console.error('Error saving upload session in queue:', error);
+      return false;
+    }
+  },
+
+  // Record a part the server (or storage) acknowledged
+  addCompletedPart: async (fileId, part) => {
+    try {
+      await db.uploadQueue
+        .where({ fileId })
+        .modify(item => {
+          item.completedParts = [
+            ...(item.completedParts || []).filter(p => p.partNumber !== part.partNumber),
+            part
+          ];
+        });
+
+      return true;
+    } catch (error) {
+      console.error('Error recording completed part in queue:', error);
+      return false;
+    }
+  },
+
+  // Replace the recorded parts with the ones the server reports
+  setCompletedParts: async (fileId, parts) => {
+    try {
+      await db.uploadQueue
+        .where({ fileId })
+        .modify({ completedParts: parts });
+
+      return true;
+    } catch (error) {
+      console.error('Error updating completed parts in queue:', error);
+      return false;
+    }
+  },
+
+  // Forget the server-side session of an upload once it completed or was cancelled
+  clearSession: async (fileId) => {
+    try {
+      await db.uploadQueue
+        .where({ fileId })
+        .modify({
+          uploadId: null,
+          fileKey: null,
+          direct: null,
+          completedParts: []
+        });
+
+      return true;
+    } catch (error) {
+      console.error('Error clearing upload session in queue:', error);
+      return false;
+    }
+  },
+
+  // Hand a file over to the background upload engine (lib/uploadEngine.sw.js), storing the File
+  // itself so the engine can read it after the tab is closed, and the upload limits it must keep to
+  // (see lib/uploadLimits.js), which it cannot read from localStorage
+  handOver: async (fileId, file, limits = DEFAULT_UPLOAD_LIMITS) => {
+    try {
+      await db.uploadQueue
+        .where({ fileId })
+        .modify({
+          background: true,
+          file,
+          limits,
+          status: 'pending',
+          backgroundFetch: null
+        });
+
+      return true;
+    } catch (error) {
+      console.error('Error handing upload over to the background engine:', error);
+      return false;
+    }
+  },
+
+  // Get the entries the background upload engine owns
+  getBackgroundEntries: async () => {
+    try {
+      return await db.uploadQueue.filter(item => item.background).toArray();
+    } catch (error) {
+      console.error('Error fetching background uploads:', error);
+      return [];
+    }
+  },
+
+  // Give the uploads the background engine owns the upload limits changed in a page
+  setBackgroundLimits: async (limits) => {
+    try {
+      await db.uploadQueue
+        .filter(item => item.background)
+        .modify({ limits });
+
+      return true;
+    } catch (error) {
+      console.error('Error saving upload limits of background uploads:', error);
+      return false;
+    }
+  },
+
+  // Remember the background fetch sending an upload's chunks ({ id, offset }), { failed: true,
+  // retryAt } once one lost chunks (retryAt: when the server allows sending again), or null
+  setBackgroundFetch: async (fileId, backgroundFetch) => {
+    try {
+      await db.uploadQueue
+        .where({ fileId })
+        .modify({ backgroundFetch });
+
+      return true;
+    } catch (error) {
+      console.error('Error saving background fetch in queue:', error);
+      return false;
+    }
+  },
+
+  // Record how a background upload ended; the stored File is dropped unless the upload failed and
+  // may be retried. Pages pick the result up with takeBackgroundResults.
+  finishBackground: async (fileId, status) => {
+    try {
+      await db.uploadQueue
+        .where({ fileId })
+        .modify(item => {
+          item.status = status;
+          item.statsPending = true;
+          item.backgroundFetch = null;
+          if (status !== 'failed') {
+            item.file = null;
+          }
+        });
+
+      return true;
+    } catch (error) {
+      console.error('Error finishing background upload in queue:', error);
+      return false;
+    }
+  },
+
+  // Take the background uploads that ended since the last call, so every result is counted once
+  takeBackgroundResults: async () => {
+    try {
+      return await db.transaction('rw', db.uploadQueue, async () => {
+        const finished = await db.uploadQueue.filter(item => item.statsPending).toArray();
+        await Promise.all(finished.map(item =>
+          db.uploadQueue.where({ fileId: item.fileId }).modify({ statsPending: false })
+        ));
+        return finished;
+      });
+    } catch (error) {
+      console.error('Error collecting background upload results:', error);
+      return [];
+    }
+  },
+
   // Get all items in the queue
   getQueue: async () => {
     try {
@@ -324,6 +641,7 @@ export default {
   statsManager,
   themeManager,
   dirPathManager,
+  uploadLimitsManager,
   uploadHistoryService,
   uploadQueueService
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+// Browser helpers for direct-to-bucket uploads, where chunks skip /api/upload-chunk and
+// go straight to storage URLs the server has signed. Credentials never leave the server.
+import { createResponseError, fetchWithRetryAfter } from './retry';
+
+// Number of part URLs requested from the server at a time
+const SIGN_BATCH_SIZE = 50;
+
+// Keep track of signed part URLs for one file, asking the server for more as needed
+export const createPartUrlResolver = (fileId, totalChunks, initialUrls = []) => {
+  const urls = new Map(initialUrls.map(({ partNumber, url }) => [partNumber, url]));
+
+  return async (partNumber) => {
+    if (!urls.has(partNumber)) {
+      const partNumbers = [];
+      for (let n = partNumber; n <= Math.min(totalChunks, partNumber + SIGN_BATCH_SIZE - 1); n++) {
+        partNumbers.push(n);
+      }
+
+      const response = await fetchWithRetryAfter('/api/upload-chunk', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          action: 'sign',
+          fileId,
+          partNumbers
+        }),
+      });
+
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to sign upload URLs');
+      }
+
+      result.partUrls.forEach(({ partNumber: n, url }) => urls.set(n, url));
+    }
+
+    return urls.get(partNumber);
+  };
+};
+
+// Upload one chunk straight to storage, resolving the part's ETag when storage exposes it. The
+// chunk is a Blob or bytes already read, starting at `start` in the file. `signal` aborts the
+// request (see lib/retry.js).
+export const putChunkDirect = async ({ direct, getPartUrl, chunk, partNumber, start, fileSize, signal }) => {
+  if (direct.strategy === 'parts') {
+    const response = await fetch(await getPartUrl(partNumber), {
+      method: 'PUT',
+      body: chunk,
+      signal,
+    });
+
+    if (!response.ok) {
+      throw createResponseError(response, `Storage rejected part ${partNumber}`);
+    }
+    return { partNumber, etag: response.headers.get('ETag') };
+  }
+
+  if (direct.strategy === 'resumable') {
+    const end = start + (chunk.size ?? chunk.byteLength) - 1;
+    const response = await fetch(direct.sessionUri, {
+      method: 'PUT',
+      headers: {
+        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+      },
+      body: chunk,
+      signal,
+    });
+
+    // 308 means "resume incomplete": every chunk but the last gets it
+    if (response.status !== 308 && !response.ok) {
+      throw createResponseError(response, `Storage rejected bytes ${start}-${end}`);
+    }
+    return { partNumber, etag: null };
+  }
+
+  throw new Error(`Unsupported direct upload strategy: ${direct.strategy}`);
+};
+
+// Storage does not report the CRC32C of chunks sent straight to a GCS resumable session: keep the
+// ones recorded with the chunks (`recordedParts`) for the parts a resume lists with the same size
+export const keepRecordedCrc32c = (parts, recordedParts = []) => {
+  const recorded = new Map(recordedParts.map(part => [part.partNumber, part]));
+  return parts.map(part => {
+    const known = recorded.get(part.partNumber);
+    return known?.crc32c && known.size === part.size ? { ...part, crc32c: known.crc32c } : part;
+  });
+};
+
+export default {
+  createPartUrlResolver,
+  putChunkDirect,
+  keepRecordedCrc32c
+};
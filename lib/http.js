@@ -0,0 +1,43 @@
+// Helpers for API routes that read their request bodies themselves (bodyParser: false)
+
+// Error carrying the HTTP status the route should answer with
+export const createHttpError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Whether the request carries a raw binary body
+export const isBinaryRequest = (req) => {
+    return (req.headers['content-type'] || '').split(';')[0].trim() === 'application/octet-stream';
+};
+
+// Read and parse a JSON request body, rejecting bodies larger than `limit` bytes
+export const readJsonBody = async (req, limit) => {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > limit) {
+            throw createHttpError(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    if (size === 0) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw createHttpError(400, 'Invalid JSON body');
+    }
+};
+
+export default {
+    createHttpError,
+    isBinaryRequest,
+    readJsonBody
+};
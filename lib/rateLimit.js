@@ -0,0 +1,163 @@
+// Rate limits for API routes, counted in the upload session store so every replica sees the same
+// counts (see lib/uploadSessions)
+//
+// Sign-in: attempts are counted per client IP and per account name over APP_LOGIN_WINDOW seconds,
+// before the password is checked, so parallel attempts cannot all get in before the first one
+// failed; a successful attempt is taken off the counts again. An IP over its limit waits for the
+// window to end; an account that reaches its limit is locked for APP_LOGIN_LOCKOUT seconds, doubled
+// for every further lockout within a day. Both answer 429 before the password is checked, so a
+// locked account cannot be guessed either.
+//
+// Uploads: each user may send UPLOAD_RATE_LIMIT requests to /api/upload-chunk per
+// UPLOAD_RATE_WINDOW seconds, and keep UPLOAD_MAX_ACTIVE_SESSIONS upload sessions going at once. A
+// session stops counting when it completes or is aborted, or after UPLOAD_ACTIVE_IDLE seconds
+// without a request. A limit of 0 turns it off.
+import { getSessionStore } from './uploadSessions';
+import { createHttpError } from './http';
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name] || String(fallback), 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const LOGIN_MAX_ATTEMPTS = readNumber('APP_LOGIN_MAX_ATTEMPTS', 5);
+const LOGIN_IP_MAX_ATTEMPTS = readNumber('APP_LOGIN_IP_MAX_ATTEMPTS', 20);
+const LOGIN_WINDOW = readNumber('APP_LOGIN_WINDOW', 15 * 60) * 1000;
+const LOGIN_LOCKOUT = readNumber('APP_LOGIN_LOCKOUT', 60) * 1000;
+
+// Lockouts double for a day, and never last longer than that
+const LOCKOUT_MEMORY = 24 * 60 * 60 * 1000;
+
+const UPLOAD_RATE_LIMIT = readNumber('UPLOAD_RATE_LIMIT', 600);
+const UPLOAD_RATE_WINDOW = readNumber('UPLOAD_RATE_WINDOW', 60) * 1000;
+const UPLOAD_MAX_ACTIVE_SESSIONS = readNumber('UPLOAD_MAX_ACTIVE_SESSIONS', 10);
+const UPLOAD_ACTIVE_IDLE = readNumber('UPLOAD_ACTIVE_IDLE', 10 * 60) * 1000;
+
+// Seconds a client over the session limit is asked to wait before asking again
+const ACTIVE_SESSIONS_RETRY_AFTER = 30;
+
+// 429 error telling the client how many seconds to wait (the Retry-After header)
+export const createRateLimitError = (message, retryAfterMs) => {
+    const error = createHttpError(429, message);
+    error.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    return error;
+};
+
+// Answer a rate-limit error with 429 and its Retry-After header
+export const sendRateLimited = (res, error) => {
+    res.setHeader('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ success: false, message: error.message, error: error.message });
+};
+
+// Client address, from X-Forwarded-For only when a trusted proxy sets it (APP_TRUST_PROXY=true)
+export const getClientIp = (req) => {
+    if (process.env.APP_TRUST_PROXY === 'true' && req.headers['x-forwarded-for']) {
+        return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+};
+
+// Account names are case-insensitive, like usernames
+const getAccount = (username) => String(username).trim().toLowerCase();
+
+// Count a sign-in attempt before its password is checked, throwing a rate-limit error when this
+// client or account may not try to sign in right now
+export const startLoginAttempt = async (req, username) => {
+    const store = getSessionStore();
+    const account = getAccount(username);
+
+    const lock = await store.getCounter(`login-lock:${account}`);
+    if (lock) {
+        throw createRateLimitError('Too many failed sign-in attempts for this account; try again later', lock.expiresAt - Date.now());
+    }
+
+    const ipAttempts = await store.incrementCounter(`login-ip:${getClientIp(req)}`, LOGIN_WINDOW);
+    if (LOGIN_IP_MAX_ATTEMPTS > 0 && ipAttempts.count > LOGIN_IP_MAX_ATTEMPTS) {
+        throw createRateLimitError('Too many failed sign-in attempts; try again later', ipAttempts.expiresAt - Date.now());
+    }
+
+    // Attempts still being checked count too, so no more than the limit are ever checked at once
+    const attempts = await store.incrementCounter(`login-failures:${account}`, LOGIN_WINDOW);
+    if (LOGIN_MAX_ATTEMPTS > 0 && attempts.count > LOGIN_MAX_ATTEMPTS) {
+        throw createRateLimitError('Too many failed sign-in attempts for this account; try again later', attempts.expiresAt - Date.now());
+    }
+};
+
+// Lock an account whose failed attempts (counted by startLoginAttempt) reached its limit
+export const recordLoginFailure = async (username) => {
+    const store = getSessionStore();
+    const account = getAccount(username);
+
+    const failures = await store.getCounter(`login-failures:${account}`);
+    if (LOGIN_MAX_ATTEMPTS > 0 && failures && failures.count >= LOGIN_MAX_ATTEMPTS && !await store.getCounter(`login-lock:${account}`)) {
+        const { count: lockouts } = await store.incrementCounter(`login-lockouts:${account}`, LOCKOUT_MEMORY);
+        const duration = Math.min(LOGIN_LOCKOUT * Math.pow(2, lockouts - 1), LOCKOUT_MEMORY);
+
+        await store.incrementCounter(`login-lock:${account}`, duration);
+        await store.deleteCounter(`login-failures:${account}`);
+        console.warn(`Sign-in locked for ${account} for ${Math.round(duration / 1000)}s after ${failures.count} failed attempts`);
+    }
+};
+
+// Forget an account's failures once its owner signed in, and take the attempt off its client's count
+export const recordLoginSuccess = async (req, username) => {
+    const store = getSessionStore();
+    const account = getAccount(username);
+
+    await store.decrementCounter(`login-ip:${getClientIp(req)}`);
+    await store.deleteCounter(`login-failures:${account}`);
+    await store.deleteCounter(`login-lockouts:${account}`);
+};
+
+// Count a request to /api/upload-chunk, throwing a rate-limit error when the user is over the limit
+export const checkUploadRate = async (user) => {
+    if (UPLOAD_RATE_LIMIT <= 0) {
+        return;
+    }
+
+    const requests = await getSessionStore().incrementCounter(`upload-requests:${user.id}`, UPLOAD_RATE_WINDOW);
+    if (requests.count > UPLOAD_RATE_LIMIT) {
+        throw createRateLimitError('Too many upload requests; slow down', requests.expiresAt - Date.now());
+    }
+};
+
+// Count a new upload session against its user's limit, throwing a rate-limit error when the user
+// already has as many going as allowed
+export const startActiveUpload = async (userId, fileId) => {
+    const store = getSessionStore();
+    const key = `upload-active:${userId}`;
+
+    // Initializing a file again replaces its earlier session
+    await store.removeMember(key, fileId);
+
+    if (UPLOAD_MAX_ACTIVE_SESSIONS > 0 && await store.countMembers(key) >= UPLOAD_MAX_ACTIVE_SESSIONS) {
+        throw createRateLimitError(
+            `Only ${UPLOAD_MAX_ACTIVE_SESSIONS} uploads may run at once; wait for one to finish`,
+            ACTIVE_SESSIONS_RETRY_AFTER * 1000
+        );
+    }
+    await store.touchMember(key, fileId, UPLOAD_ACTIVE_IDLE);
+};
+
+// Keep an upload session counted while requests for it keep coming
+export const touchActiveUpload = async (userId, fileId) => {
+    await getSessionStore().touchMember(`upload-active:${userId}`, fileId, UPLOAD_ACTIVE_IDLE);
+};
+
+// Stop counting a completed or aborted upload session
+export const endActiveUpload = async (userId, fileId) => {
+    await getSessionStore().removeMember(`upload-active:${userId}`, fileId);
+};
+
+export default {
+    createRateLimitError,
+    sendRateLimited,
+    getClientIp,
+    startLoginAttempt,
+    recordLoginFailure,
+    recordLoginSuccess,
+    checkUploadRate,
+    startActiveUpload,
+    touchActiveUpload,
+    endActiveUpload
+};
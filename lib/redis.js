@@ -0,0 +1,21 @@
+// Shared connection to a server speaking the Redis protocol (Redis, Valkey, KeyDB, Dragonfly...)
+import Redis from 'ioredis';
+
+let client = null;
+
+// Connect on first use to REDIS_URL (redis://[:password@]host:port[/db], rediss:// for TLS)
+export const getRedisClient = () => {
+    if (!client) {
+        client = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+
+        // ioredis reconnects by itself; log instead of crashing on connection errors
+        client.on('error', (error) => {
+            console.error('Redis connection error:', error.message);
+        });
+    }
+    return client;
+};
+
+export default {
+    getRedisClient
+};
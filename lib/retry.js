@@ -0,0 +1,124 @@
+// Browser helpers for retrying chunk requests: exponential backoff with full jitter and a
+// per-attempt timeout enforced through an AbortController. Rate-limited responses (429) wait at
+// least as long as their Retry-After header asks.
+
+// Defaults used by the uploader; each can be overridden per call
+export const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 5,        // Attempts per request, the first one included
+  baseDelay: 1000,       // Backoff before the first retry (ms), doubled after each attempt
+  maxDelay: 30000,       // Upper bound of any single backoff (ms)
+  timeout: 120000        // Abort an attempt that takes longer than this (ms); 0 disables it
+};
+
+// Milliseconds a response's Retry-After header (seconds or an HTTP date) asks to wait, or null
+export const getRetryAfter = (response) => {
+  const header = response.headers?.get('Retry-After');
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  const delay = Number.isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000;
+  return Number.isNaN(delay) ? null : Math.max(0, delay);
+};
+
+// Error for a non-OK HTTP response, carrying its status so callers can tell transient failures apart,
+// and the wait its Retry-After header asks for
+export const createResponseError = (response, message) => {
+  const error = new Error(`${message} (HTTP ${response.status})`);
+  error.status = response.status;
+  error.retryAfter = getRetryAfter(response);
+  return error;
+};
+
+// Server errors, timeouts, throttling and network failures are worth another attempt;
+// other 4xx responses will fail the same way again
+export const isRetryableError = (error) => {
+  // Set by callers for failures known to be transient, such as a chunk corrupted in transit
+  if (error?.retryable === true) {
+    return true;
+  }
+  if (typeof error?.status === 'number') {
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+  // fetch rejects with a TypeError when the network fails, and with an AbortError on timeout
+  return error?.name === 'TypeError' || error?.name === 'AbortError' || error?.name === 'TimeoutError';
+};
+
+// Delay before retry number `attempt` (1-based): a random time up to the exponential backoff
+export const getBackoffDelay = (attempt, { baseDelay, maxDelay }) => {
+  const backoff = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  return Math.floor(Math.random() * backoff);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// fetch() that sends a rate-limited request (429) again once its Retry-After has passed, up to
+// maxAttempts times, and resolves the last response. For requests not otherwise retried, such as
+// the upload actions sent as JSON.
+export const fetchWithRetryAfter = async (url, init, options = {}) => {
+  const { maxAttempts, baseDelay, maxDelay } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetch(url, init);
+    if (response.status !== 429 || attempt >= maxAttempts) {
+      return response;
+    }
+
+    const delay = getRetryAfter(response) ?? getBackoffDelay(attempt, { baseDelay, maxDelay });
+    console.warn(`${url} is rate limited, trying again in ${delay}ms`);
+    await sleep(delay);
+  }
+};
+
+// Run `request(signal, startTimeout)` until it resolves, a non-retryable error is thrown or the
+// attempts run out. `onRetry(error, attempt, delay)` is called before every retry. Each attempt's
+// timeout starts with the attempt, or with `deferTimeout` when the request calls startTimeout(), so
+// time spent waiting for a chunk worker does not count.
+export const withRetry = async (request, options = {}, onRetry = null) => {
+  const { maxAttempts, baseDelay, maxDelay, timeout, deferTimeout = false } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    let timer = null;
+    const startTimeout = () => {
+      if (timeout > 0 && !timer) {
+        timer = setTimeout(() => controller.abort(), timeout);
+      }
+    };
+    if (!deferTimeout) {
+      startTimeout();
+    }
+
+    let error;
+    try {
+      return await request(controller.signal, startTimeout);
+    } catch (requestError) {
+      error = requestError;
+    } finally {
+      if (timer) {
+        clearTimeout(timer);
+      }
+    }
+
+    if (attempt >= maxAttempts || !isRetryableError(error)) {
+      throw error;
+    }
+
+    const delay = Math.max(getBackoffDelay(attempt, { baseDelay, maxDelay }), error?.retryAfter || 0);
+    if (typeof onRetry === 'function') {
+      await onRetry(error, attempt, delay);
+    }
+    await sleep(delay);
+  }
+};
+
+export default {
+  DEFAULT_RETRY_OPTIONS,
+  getRetryAfter,
+  createResponseError,
+  isRetryableError,
+  getBackoffDelay,
+  fetchWithRetryAfter,
+  withRetry
+};
@@ -0,0 +1,150 @@
+// Storage provider registry shared by the upload API routes and lib/cloudStorage.js
+//
+// Every backend implements the same contract so routes never branch on the provider:
+//
+//   name                                     provider id matching NEXT_PUBLIC_CLOUD_PROVIDER
+//   partLimits                               optional { minPartSize, maxPartSize, maxParts, partSizeMultiple }
+//                                            of multipart uploads, read by chooseChunkSize
+//   checkAccess()                            resolves when the bucket/container is reachable
+//   initializeUpload({ fileKey, fileType }, { partConcurrency })
+//                                            opens a multipart session, resolves extra session fields;
+//                                            partConcurrency is how many parts the client sends at once
+//   uploadPart(session, { partNumber, body, contentLength, checksum })
+//                                            stores one part (body is a Buffer or a readable stream),
+//                                            resolves { partNumber, etag }; checksum is the part's base64
+//                                            SHA-256 for storage that verifies it (errors carry
+//                                            checksumMismatch when it does not match)
+//   completeUpload(session)                  assembles session.parts into the final object, storing
+//                                            session.checksum, session.contentHash and session.uploadedBy
+//                                            in its metadata (getObjectMetadata in ./metadata.js); may
+//                                            resolve { checksum } when storage computed it too
+//   abortUpload(session)                     discards a session and any parts stored so far
+//   deleteFile(fileKey)                      removes a stored object
+//   listFiles({ prefix, maxItems })          resolves [{ key, size, lastModified, url }]
+//   headFile(fileKey)                        resolves { key, size, contentType, lastModified, metadata } or null
+//   getFileUrl(fileKey)                      URL the object can be fetched from
+//
+// Providers that let the browser upload straight to storage also implement:
+//
+//   createDirectUpload(session, { fileSize, origin, partConcurrency })
+//                                                      like initializeUpload, plus a `direct` field
+//                                                      ({ strategy: 'parts' } or { strategy: 'resumable', sessionUri })
+//                                                      that is handed to the browser
+//   signPartUrls(session, partNumbers, expiresIn)      resolves [{ partNumber, url }] for the 'parts' strategy
+//
+// Used to resume interrupted uploads, where available:
+//
+//   listParts(session)                       resolves the parts storage holds, [{ partNumber, etag, size }]
+//   getUploadOffset(session)                 resolves the bytes a resumable session has persisted, for
+//                                            providers that append parts to one stream (GCS)
+//
+// A session is a plain object ({ fileId, fileKey, fileType, fileSize, chunkSize, parts: [{ partNumber, etag, size }],
+// ...fields from initializeUpload }) owned by the caller; providers only read it. Parts may be uploaded
+// in parallel and in any order, unless initializeUpload returned `ordered: true`. Sessions are persisted
+// between requests (lib/uploadSessions) and may be continued by another server instance, so providers
+// must keep everything an upload needs in the fields they return rather than in memory.
+import { v4 as uuidv4 } from 'uuid';
+import { createAwsProvider } from './providers/aws';
+import { createAzureProvider } from './providers/azure';
+import { createGcpProvider } from './providers/gcp';
+import { createLocalProvider } from './providers/local';
+
+// Default part size for server-side multipart uploads (5MB is the S3 minimum)
+export const CHUNK_SIZE = 5 * 1024 * 1024;
+
+// Part limits of providers that declare none
+const DEFAULT_PART_LIMITS = {
+    minPartSize: 1,
+    maxPartSize: Infinity,
+    maxParts: Infinity,
+    partSizeMultiple: 1
+};
+
+// Provider factories by name, and the instances created from them
+const providerFactories = new Map();
+const providerInstances = new Map();
+
+// Register a provider factory under a NEXT_PUBLIC_CLOUD_PROVIDER value
+export const registerProvider = (name, factory) => {
+    providerFactories.set(name, factory);
+    providerInstances.delete(name);
+};
+
+// Names of every registered provider
+export const listProviders = () => Array.from(providerFactories.keys());
+
+// Name of the provider configured for this deployment
+export const getProviderName = () => process.env.NEXT_PUBLIC_CLOUD_PROVIDER || 'aws';
+
+// Get (and lazily create) a provider instance
+export const getProvider = (name = getProviderName()) => {
+    if (!providerInstances.has(name)) {
+        const factory = providerFactories.get(name);
+
+        if (!factory) {
+            throw new Error(`Unsupported cloud provider: ${name}`);
+        }
+
+        providerInstances.set(name, factory());
+    }
+
+    return providerInstances.get(name);
+};
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Choose the part size of one upload: the preferred size, raised until the file fits in the
+// provider's part count and rounded to the multiple it requires (and to `partSizeMultiple`, when
+// the caller needs one too). Resolves null when the file is too large for the provider even with
+// the largest parts (or `maxPartSize`, when lower).
+export const chooseChunkSize = (provider, fileSize, { preferredSize = CHUNK_SIZE, maxPartSize = Infinity, partSizeMultiple = 1 } = {}) => {
+    const limits = { ...DEFAULT_PART_LIMITS, ...provider.partLimits };
+    const multiple = (limits.partSizeMultiple * partSizeMultiple) / gcd(limits.partSizeMultiple, partSizeMultiple);
+    const largest = Math.floor(Math.min(limits.maxPartSize, maxPartSize) / multiple) * multiple;
+
+    const smallest = Math.max(preferredSize, limits.minPartSize, Math.ceil(Number(fileSize) / limits.maxParts));
+    const chunkSize = Math.ceil(smallest / multiple) * multiple;
+
+    if (chunkSize <= largest) {
+        return chunkSize;
+    }
+    // The preferred size may just be too large
+    return Math.ceil(Number(fileSize) / largest) <= limits.maxParts ? largest : null;
+};
+
+// Generate a unique key for the file
+export const generateFileKey = (fileName) => {
+    // Create folder structure based on date
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+
+    // Clean the file name
+    const cleanName = fileName.replace(/[^\w\s.-]/g, '').replace(/\s+/g, '-');
+
+    // Add unique ID to prevent overwriting
+    const uniqueId = uuidv4().substring(0, 8);
+
+    return `uploads/${year}/${month}/${day}/${uniqueId}-${cleanName}`;
+};
+
+// Built-in providers
+registerProvider('aws', createAwsProvider);
+registerProvider('gcp', createGcpProvider);
+registerProvider('azure', createAzureProvider);
+registerProvider('local', createLocalProvider);
+
+// Whether the provider can hand uploads off to the browser
+export const supportsDirectUpload = (provider) => typeof provider.createDirectUpload === 'function';
+
+export default {
+    CHUNK_SIZE,
+    chooseChunkSize,
+    supportsDirectUpload,
+    registerProvider,
+    listProviders,
+    getProviderName,
+    getProvider,
+    generateFileKey
+};
@@ -0,0 +1,20 @@
+// Custom metadata stored with every uploaded object: its checksums (see lib/checksum.js) and the
+// user who uploaded it, by name for display (uploaded_by) and by id (uploaded_by_id)
+import { getChecksumMetadata } from '../checksum';
+
+export const getObjectMetadata = (session) => ({
+    ...getChecksumMetadata(session),
+    ...(session.uploadedBy && { uploaded_by: session.uploadedBy }),
+    ...(session.userId && { uploaded_by_id: session.userId })
+});
+
+// Uploaders may delete the objects they uploaded, admins any object. Ownership goes by user id: a
+// name may be taken again by a new account, which must not inherit the old one's objects.
+export const canDeleteObject = (file, user) => {
+    return user.role === 'admin' || (Boolean(file.metadata?.uploaded_by_id) && file.metadata.uploaded_by_id === user.id);
+};
+
+export default {
+    getObjectMetadata,
+    canDeleteObject
+};
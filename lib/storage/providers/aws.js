@@ -0,0 +1,250 @@
+// Amazon S3 storage provider, also used for S3-compatible servers (MinIO, Ceph, R2)
+import {
+    S3Client,
+    HeadBucketCommand,
+    HeadObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+    ListPartsCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { getObjectMetadata } from '../metadata';
+
+export const createAwsProvider = () => {
+    const bucketName = process.env.NEXT_PUBLIC_AWS_S3_BUCKET;
+    const endpoint = (process.env.NEXT_PUBLIC_AWS_S3_ENDPOINT || '').replace(/\/+$/, '');
+    // S3-compatible servers rarely care about the region, but the SDK requires one
+    const region = process.env.NEXT_PUBLIC_AWS_REGION || (endpoint ? 'us-east-1' : undefined);
+    const forcePathStyle = process.env.NEXT_PUBLIC_AWS_S3_FORCE_PATH_STYLE === 'true';
+    const urlTemplate = process.env.NEXT_PUBLIC_AWS_S3_URL_TEMPLATE;
+    let client = null;
+
+    // Initialize the S3 client on first use
+    const getClient = () => {
+        if (!client) {
+            client = new S3Client({
+                region,
+                credentials: {
+                    accessKeyId: process.env.NEXT_PUBLIC_AWS_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.NEXT_PUBLIC_AWS_SECRET_ACCESS_KEY
+                },
+                ...(endpoint && { endpoint }),
+                // The default CRC32 checksums break presigned part URLs and many S3-compatible servers
+                requestChecksumCalculation: 'WHEN_REQUIRED',
+                responseChecksumValidation: 'WHEN_REQUIRED',
+                forcePathStyle
+            });
+        }
+        return client;
+    };
+
+    // Build the public URL of an object, e.g. from "https://cdn.example.com/{bucket}/{key}"
+    const getFileUrl = (fileKey) => {
+        if (urlTemplate) {
+            return urlTemplate
+                .replace(/{bucket}/g, bucketName)
+                .replace(/{region}/g, region)
+                .replace(/{endpoint}/g, endpoint)
+                .replace(/{key}/g, fileKey);
+        }
+
+        if (endpoint) {
+            if (forcePathStyle) {
+                return `${endpoint}/${bucketName}/${fileKey}`;
+            }
+            const { protocol, host } = new URL(endpoint);
+            return `${protocol}//${bucketName}.${host}/${fileKey}`;
+        }
+
+        if (forcePathStyle) {
+            return `https://s3.${region}.amazonaws.com/${bucketName}/${fileKey}`;
+        }
+
+        return `https://${bucketName}.s3.${region}.amazonaws.com/${fileKey}`;
+    };
+
+    // Sessions with a checksumAlgorithm have S3 verify each part's SHA-256 and compute the
+    // composite checksum of the object. User metadata can only be set here, before any part.
+    const initializeUpload = async (session) => {
+        const { fileKey, fileType, checksumAlgorithm } = session;
+        const metadata = getObjectMetadata(session);
+        const response = await getClient().send(new CreateMultipartUploadCommand({
+            Bucket: bucketName,
+            Key: fileKey,
+            ContentType: fileType,
+            ...(checksumAlgorithm && { ChecksumAlgorithm: 'SHA256' }),
+            ...(Object.keys(metadata).length > 0 && { Metadata: metadata })
+        }));
+        return { uploadId: response.UploadId };
+    };
+
+    return {
+        name: 'aws',
+        bucketName,
+        // Every part but the last must be at least 5MB
+        partLimits: {
+            minPartSize: 5 * 1024 * 1024,
+            maxPartSize: 5 * 1024 * 1024 * 1024,
+            maxParts: 10000
+        },
+        getClient,
+        getFileUrl,
+        initializeUpload,
+
+        checkAccess: async () => {
+            await getClient().send(new HeadBucketCommand({ Bucket: bucketName }));
+        },
+
+        // The browser PUTs each part to a presigned UploadPart URL
+        createDirectUpload: async (session) => {
+            return {
+                ...await initializeUpload(session),
+                direct: { strategy: 'parts' }
+            };
+        },
+
+        signPartUrls: async (session, partNumbers, expiresIn) => {
+            return Promise.all(partNumbers.map(async partNumber => ({
+                partNumber,
+                url: await getSignedUrl(getClient(), new UploadPartCommand({
+                    Bucket: bucketName,
+                    Key: session.fileKey,
+                    UploadId: session.uploadId,
+                    PartNumber: partNumber
+                }), { expiresIn })
+            })));
+        },
+
+        // Parts S3 has stored for a multipart upload, following pagination
+        listParts: async (session) => {
+            const parts = [];
+            let partNumberMarker;
+
+            do {
+                const response = await getClient().send(new ListPartsCommand({
+                    Bucket: bucketName,
+                    Key: session.fileKey,
+                    UploadId: session.uploadId,
+                    PartNumberMarker: partNumberMarker
+                }));
+
+                (response.Parts || []).forEach(part => {
+                    parts.push({
+                        partNumber: part.PartNumber,
+                        etag: part.ETag,
+                        size: part.Size,
+                        checksum: part.ChecksumSHA256 || null
+                    });
+                });
+                partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+            } while (partNumberMarker);
+
+            return parts;
+        },
+
+        uploadPart: async (session, { partNumber, body, contentLength, checksum }) => {
+            try {
+                const response = await getClient().send(new UploadPartCommand({
+                    Bucket: bucketName,
+                    Key: session.fileKey,
+                    PartNumber: partNumber,
+                    UploadId: session.uploadId,
+                    Body: body,
+                    ContentLength: contentLength,
+                    ...(session.checksumAlgorithm && checksum && { ChecksumSHA256: checksum })
+                }));
+                return { partNumber, etag: response.ETag };
+            } catch (error) {
+                if (error.name === 'BadDigest' || error.name === 'InvalidDigest') {
+                    error.checksumMismatch = true;
+                }
+                throw error;
+            }
+        },
+
+        completeUpload: async (session) => {
+            // Order parts by part number
+            const parts = [...session.parts]
+                .sort((a, b) => a.partNumber - b.partNumber)
+                .map(part => ({
+                    PartNumber: part.partNumber,
+                    ETag: part.etag,
+                    ...(session.checksumAlgorithm && part.checksum && { ChecksumSHA256: part.checksum })
+                }));
+
+            const response = await getClient().send(new CompleteMultipartUploadCommand({
+                Bucket: bucketName,
+                Key: session.fileKey,
+                UploadId: session.uploadId,
+                MultipartUpload: { Parts: parts }
+            }));
+
+            // The composite checksum S3 computed, in the same format as session.checksum
+            return { checksum: response.ChecksumSHA256 || null };
+        },
+
+        abortUpload: async (session) => {
+            if (!session.uploadId) return;
+
+            await getClient().send(new AbortMultipartUploadCommand({
+                Bucket: bucketName,
+                Key: session.fileKey,
+                UploadId: session.uploadId
+            }));
+        },
+
+        deleteFile: async (fileKey) => {
+            await getClient().send(new DeleteObjectCommand({
+                Bucket: bucketName,
+                Key: fileKey
+            }));
+        },
+
+        listFiles: async ({ prefix, maxItems }) => {
+            const response = await getClient().send(new ListObjectsV2Command({
+                Bucket: bucketName,
+                Prefix: prefix,
+                MaxKeys: maxItems
+            }));
+
+            return (response.Contents || []).map(item => ({
+                key: item.Key,
+                size: item.Size,
+                lastModified: item.LastModified,
+                url: getFileUrl(item.Key)
+            }));
+        },
+
+        headFile: async (fileKey) => {
+            try {
+                const response = await getClient().send(new HeadObjectCommand({
+                    Bucket: bucketName,
+                    Key: fileKey,
+                    ChecksumMode: 'ENABLED'
+                }));
+                return {
+                    key: fileKey,
+                    size: response.ContentLength,
+                    contentType: response.ContentType,
+                    lastModified: response.LastModified,
+                    // S3 keeps the composite checksum itself rather than in user metadata
+                    metadata: {
+                        ...response.Metadata,
+                        ...(response.ChecksumSHA256 && { checksum_sha256: response.ChecksumSHA256 })
+                    }
+                };
+            } catch (error) {
+                if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        }
+    };
+};
+
+export default createAwsProvider;
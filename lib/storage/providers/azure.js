@@ -0,0 +1,195 @@
+// Azure Blob Storage provider using block blobs
+//
+// Each part is staged as an uncommitted block and the block list is committed on completion.
+// Block IDs are derived from the session's uploadId and part number, so they can be rebuilt
+// from the session without storing them.
+import crypto from 'crypto';
+import { BlobServiceClient, BlobSASPermissions, StorageSharedKeyCredential } from '@azure/storage-blob';
+import { getObjectMetadata } from '../metadata';
+
+export const createAzureProvider = () => {
+    const containerName = process.env.NEXT_PUBLIC_AZURE_CONTAINER_NAME;
+    let client = null;
+
+    // Initialize the blob service client on first use; a connection string takes precedence
+    // (use "UseDevelopmentStorage=true" for the Azurite emulator)
+    const getClient = () => {
+        if (!client) {
+            const connectionString = process.env.NEXT_PUBLIC_AZURE_STORAGE_CONNECTION_STRING;
+
+            if (connectionString) {
+                client = BlobServiceClient.fromConnectionString(connectionString);
+            } else {
+                const accountName = process.env.NEXT_PUBLIC_AZURE_STORAGE_ACCOUNT;
+                const endpoint = process.env.NEXT_PUBLIC_AZURE_BLOB_ENDPOINT
+                    || `https://${accountName}.blob.core.windows.net`;
+
+                client = new BlobServiceClient(
+                    endpoint,
+                    new StorageSharedKeyCredential(accountName, process.env.NEXT_PUBLIC_AZURE_STORAGE_KEY)
+                );
+            }
+        }
+        return client;
+    };
+
+    const getContainer = () => getClient().getContainerClient(containerName);
+    const getBlob = (fileKey) => getContainer().getBlockBlobClient(fileKey);
+
+    // Block IDs must be base64 and of equal length within a blob
+    const getBlockId = (uploadId, partNumber) => {
+        return Buffer.from(`${uploadId}-${String(partNumber).padStart(6, '0')}`).toString('base64');
+    };
+
+    const getFileUrl = (fileKey) => getBlob(fileKey).url;
+
+    const initializeUpload = async () => {
+        return { uploadId: crypto.randomBytes(8).toString('hex') };
+    };
+
+    return {
+        name: 'azure',
+        bucketName: containerName,
+        // Block blobs hold at most 50,000 blocks of up to 4000MiB
+        partLimits: {
+            maxPartSize: 4000 * 1024 * 1024,
+            maxParts: 50000
+        },
+        getClient,
+        getFileUrl,
+
+        checkAccess: async () => {
+            const exists = await getContainer().exists();
+            if (!exists) {
+                throw new Error('Azure container does not exist');
+            }
+        },
+
+        // Block blobs need no server-side session; the uploadId namespaces this session's blocks
+        initializeUpload,
+
+        // The browser stages each block through a write-only SAS URL
+        createDirectUpload: async (session) => {
+            return {
+                ...await initializeUpload(session),
+                direct: { strategy: 'parts' }
+            };
+        },
+
+        signPartUrls: async (session, partNumbers, expiresIn) => {
+            const sasUrl = await getBlob(session.fileKey).generateSasUrl({
+                permissions: BlobSASPermissions.parse('w'),
+                expiresOn: new Date(Date.now() + expiresIn * 1000)
+            });
+
+            return partNumbers.map(partNumber => ({
+                partNumber,
+                url: `${sasUrl}&comp=block&blockid=${encodeURIComponent(getBlockId(session.uploadId, partNumber))}`
+            }));
+        },
+
+        // Uncommitted blocks staged for this session
+        listParts: async (session) => {
+            const { uncommittedBlocks = [] } = await getBlob(session.fileKey).getBlockList('uncommitted');
+            const prefix = `${session.uploadId}-`;
+
+            return uncommittedBlocks
+                .map(block => ({ id: Buffer.from(block.name, 'base64').toString(), size: block.size }))
+                .filter(block => block.id.startsWith(prefix))
+                .map(block => ({
+                    partNumber: parseInt(block.id.slice(prefix.length), 10),
+                    etag: null,
+                    size: block.size
+                }));
+        },
+
+        // Blocks are staged with their MD5, which Azure checks before it keeps them. The MD5 goes
+        // with the request, so a streamed part is read into memory first.
+        uploadPart: async (session, { partNumber, body }) => {
+            let data = body;
+            if (!Buffer.isBuffer(body)) {
+                const chunks = [];
+                for await (const chunk of body) {
+                    chunks.push(chunk);
+                }
+                data = Buffer.concat(chunks);
+            }
+
+            try {
+                await getBlob(session.fileKey).stageBlock(
+                    getBlockId(session.uploadId, partNumber),
+                    data,
+                    data.length,
+                    { transactionalContentMD5: crypto.createHash('md5').update(data).digest() }
+                );
+            } catch (error) {
+                if (error.code === 'Md5Mismatch') {
+                    error.checksumMismatch = true;
+                }
+                throw error;
+            }
+            return { partNumber, etag: null };
+        },
+
+        completeUpload: async (session) => {
+            const blockIds = [...session.parts]
+                .sort((a, b) => a.partNumber - b.partNumber)
+                .map(part => getBlockId(session.uploadId, part.partNumber));
+
+            await getBlob(session.fileKey).commitBlockList(blockIds, {
+                blobHTTPHeaders: { blobContentType: session.fileType },
+                metadata: getObjectMetadata(session)
+            });
+        },
+
+        // Committing an empty block list discards every uncommitted block of the blob,
+        // then the resulting empty blob is removed
+        abortUpload: async (session) => {
+            const blob = getBlob(session.fileKey);
+            if (await blob.exists()) return;
+
+            await blob.commitBlockList([]);
+            await blob.deleteIfExists();
+        },
+
+        deleteFile: async (fileKey) => {
+            await getBlob(fileKey).deleteIfExists();
+        },
+
+        listFiles: async ({ prefix, maxItems }) => {
+            const page = await getContainer()
+                .listBlobsFlat({ prefix })
+                .byPage({ maxPageSize: maxItems })
+                .next();
+
+            const blobs = page.done ? [] : page.value.segment.blobItems;
+
+            return blobs.map(blob => ({
+                key: blob.name,
+                size: blob.properties.contentLength,
+                lastModified: blob.properties.lastModified,
+                url: getFileUrl(blob.name)
+            }));
+        },
+
+        headFile: async (fileKey) => {
+            try {
+                const properties = await getBlob(fileKey).getProperties();
+                return {
+                    key: fileKey,
+                    size: properties.contentLength,
+                    contentType: properties.contentType,
+                    lastModified: properties.lastModified,
+                    metadata: properties.metadata || {}
+                };
+            } catch (error) {
+                if (error.statusCode === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        }
+    };
+};
+
+export default createAzureProvider;
@@ -0,0 +1,468 @@
+// Google Cloud Storage provider
+//
+// Uploads use one of two strategies, picked when the upload starts:
+//
+//   resumable   parts are appended in order to a resumable upload session. Its URI is kept in the
+//               upload session (sessionUri, or direct.sessionUri when the browser uploads itself), so
+//               any server instance can append to it. Used when parts are sent one at a time.
+//   compose     every part is a temporary object under .uploads/<uploadId>/, composed into the final
+//               object at completion. Parts can arrive in any order and in parallel.
+//
+// Resumable sessions keep no checksums of their own, so every part records the CRC32C of its bytes:
+// this route computes it for the parts it proxies, the browser for those it uploads itself. On
+// completion the part CRCs are combined and compared with the crc32c GCS computed for the object.
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { finished, pipeline } from 'stream/promises';
+import { CRC32C, Storage } from '@google-cloud/storage';
+import { getObjectMetadata } from '../metadata';
+
+// Where the parts of composed uploads are kept until completion
+const PARTS_PREFIX = '.uploads/';
+
+// GCS composes at most 32 objects per request
+const MAX_COMPOSE_SOURCES = 32;
+
+// Drop the first `count` bytes of a streamed body
+async function* skipBytes(body, count) {
+    for await (const data of body) {
+        if (count >= data.length) {
+            count -= data.length;
+            continue;
+        }
+        yield data.subarray(count);
+        count = 0;
+    }
+}
+
+// Pass a streamed body through, adding its bytes to a CRC32C
+async function* updateCrc32c(body, crc32c) {
+    for await (const data of body) {
+        crc32c.update(data);
+        yield data;
+    }
+}
+
+// CRC32C (Castagnoli) polynomial, bit-reversed
+const CRC32C_POLYNOMIAL = 0x82f63b78;
+
+// Product of a 32x32 matrix over GF(2), one row per bit, and a vector
+const gf2Times = (matrix, vector) => {
+    let sum = 0;
+    for (let i = 0; vector; i++, vector >>>= 1) {
+        if (vector & 1) {
+            sum ^= matrix[i];
+        }
+    }
+    return sum >>> 0;
+};
+
+const gf2Square = (matrix) => matrix.map(row => gf2Times(matrix, row));
+
+// CRC32C of two byte ranges one after the other, from the CRC32C of each and the length of the
+// second (zlib's crc32_combine)
+const combineCrc32c = (crc1, crc2, length2) => {
+    // Operator for one zero bit, then for two and four
+    let odd = [CRC32C_POLYNOMIAL];
+    for (let n = 1; n < 32; n++) {
+        odd.push(2 ** (n - 1));
+    }
+    let even = gf2Square(odd);
+    odd = gf2Square(even);
+
+    // Apply length2 zero bytes to crc1, squaring the operator for every bit of the length
+    let crc = crc1;
+    for (let length = length2; length > 0;) {
+        even = gf2Square(odd);
+        if (length % 2) {
+            crc = gf2Times(even, crc);
+        }
+        length = Math.floor(length / 2);
+        if (length === 0) {
+            break;
+        }
+
+        odd = gf2Square(even);
+        if (length % 2) {
+            crc = gf2Times(odd, crc);
+        }
+        length = Math.floor(length / 2);
+    }
+    return (crc ^ crc2) >>> 0;
+};
+
+// Base64 CRC32C of a whole upload from the CRC32C and size of its parts, or null when a part has none
+const getPartsCrc32c = (parts) => {
+    if (parts.length === 0 || parts.some(part => !part.crc32c || part.size == null)) {
+        return null;
+    }
+
+    const crc = [...parts]
+        .sort((a, b) => a.partNumber - b.partNumber)
+        .reduce((total, part, index) => {
+            const partCrc = Buffer.from(part.crc32c, 'base64').readUInt32BE(0);
+            return index === 0 ? partCrc : combineCrc32c(total, partCrc, Number(part.size));
+        }, 0);
+
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(crc);
+    return buffer.toString('base64');
+};
+
+export const createGcpProvider = () => {
+    const bucketName = process.env.NEXT_PUBLIC_GCP_BUCKET_NAME;
+    let client = null;
+
+    // Initialize the GCS client on first use
+    const getClient = () => {
+        if (!client) {
+            client = new Storage({
+                projectId: process.env.NEXT_PUBLIC_GCP_PROJECT_ID,
+                credentials: {
+                    client_email: process.env.NEXT_PUBLIC_GCP_CLIENT_EMAIL,
+                    private_key: (process.env.NEXT_PUBLIC_GCP_PRIVATE_KEY || '').replace(/\\n/g, '\n')
+                }
+            });
+        }
+        return client;
+    };
+
+    const getBucket = () => getClient().bucket(bucketName);
+
+    const getFileUrl = (fileKey) => {
+        return `https://storage.googleapis.com/${bucketName}/${fileKey}`;
+    };
+
+    const headFile = async (fileKey) => {
+        try {
+            const [metadata] = await getBucket().file(fileKey).getMetadata();
+            return {
+                key: fileKey,
+                size: parseInt(metadata.size, 10),
+                contentType: metadata.contentType,
+                lastModified: new Date(metadata.updated),
+                metadata: metadata.metadata || {}
+            };
+        } catch (error) {
+            if (error.code === 404) {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    // Resumable session URIs need no credentials: whoever holds one can upload to it
+    const createSessionUri = async ({ fileKey, fileType }, origin) => {
+        const [sessionUri] = await getBucket().file(fileKey).createResumableUpload({
+            metadata: {
+                contentType: fileType
+            },
+            origin
+        });
+        return sessionUri;
+    };
+
+    const getSessionUri = (session) => session.direct ? session.direct.sessionUri : session.sessionUri;
+
+    const isComposed = (session) => session.strategy === 'compose';
+
+    // Part objects are zero-padded so they list in part order
+    const getPartsPrefix = (session) => {
+        if (!/^[a-f0-9]+$/.test(session.uploadId || '')) {
+            throw new Error('Invalid upload ID');
+        }
+        return `${PARTS_PREFIX}${session.uploadId}/`;
+    };
+    const getPartKey = (session, partNumber) => `${getPartsPrefix(session)}${String(partNumber).padStart(5, '0')}`;
+
+    // Parallel uploads compose temporary part objects; sequential ones append to a resumable session
+    const startUpload = async (session, { partConcurrency = 1, origin } = {}) => {
+        if (partConcurrency > 1) {
+            return { uploadId: crypto.randomBytes(16).toString('hex'), strategy: 'compose' };
+        }
+        return { sessionUri: await createSessionUri(session, origin), ordered: true };
+    };
+
+    // Bytes received so far, or the file size once every part is in
+    const getUploadedSize = (session, beforePartNumber = Infinity) => {
+        return session.parts
+            .filter(part => part.partNumber < beforePartNumber)
+            .reduce((total, part) => total + (part.size || 0), 0);
+    };
+
+    // Where a part starts in the file: every part but the last is session.chunkSize long
+    const getPartStart = (session, partNumber) => {
+        return session.chunkSize
+            ? (partNumber - 1) * Number(session.chunkSize)
+            : getUploadedSize(session, partNumber);
+    };
+
+    // Bytes GCS has persisted, asked with an empty PUT: 308 with a Range header while incomplete,
+    // 200/201 once the object is finalized
+    const getUploadOffset = async (session) => {
+        const response = await fetch(getSessionUri(session), {
+            method: 'PUT',
+            headers: {
+                'Content-Range': 'bytes */*'
+            }
+        });
+
+        if (response.ok) {
+            return Number(session.fileSize);
+        }
+        if (response.status !== 308) {
+            throw new Error(`GCS could not report the upload offset (HTTP ${response.status})`);
+        }
+
+        const range = response.headers.get('Range');
+        return range ? parseInt(range.split('-')[1], 10) + 1 : 0;
+    };
+
+    return {
+        name: 'gcp',
+        bucketName,
+        // Resumable sessions take parts in multiples of 256KiB; composed uploads are kept to 10,000
+        // parts so completion stays within a few rounds of compose requests
+        partLimits: {
+            maxParts: 10000,
+            partSizeMultiple: 256 * 1024
+        },
+        getClient,
+        getFileUrl,
+        headFile,
+
+        checkAccess: async () => {
+            const [exists] = await getBucket().exists();
+            if (!exists) {
+                throw new Error('GCP bucket does not exist');
+            }
+        },
+
+        initializeUpload: async (session, options) => {
+            return startUpload(session, options);
+        },
+
+        // The browser PUTs chunks straight to the resumable session URI, or to signed URLs of the
+        // part objects of a composed upload
+        createDirectUpload: async (session, { origin, partConcurrency }) => {
+            const { sessionUri, ...fields } = await startUpload(session, { origin, partConcurrency });
+            return {
+                ...fields,
+                direct: sessionUri ? { strategy: 'resumable', sessionUri } : { strategy: 'parts' }
+            };
+        },
+
+        signPartUrls: async (session, partNumbers, expiresIn) => {
+            return Promise.all(partNumbers.map(async partNumber => {
+                const [url] = await getBucket().file(getPartKey(session, partNumber)).getSignedUrl({
+                    version: 'v4',
+                    action: 'write',
+                    expires: Date.now() + expiresIn * 1000
+                });
+                return { partNumber, url };
+            }));
+        },
+
+        getUploadOffset,
+
+        // Parts GCS holds in full
+        listParts: async (session) => {
+            if (isComposed(session)) {
+                const prefix = getPartsPrefix(session);
+                const [files] = await getBucket().getFiles({ prefix });
+
+                return files
+                    .map(file => ({
+                        partNumber: parseInt(file.name.slice(prefix.length), 10),
+                        etag: file.metadata.etag || null,
+                        size: parseInt(file.metadata.size, 10)
+                    }))
+                    .filter(part => Number.isInteger(part.partNumber))
+                    .sort((a, b) => a.partNumber - b.partNumber);
+            }
+
+            const offset = await getUploadOffset(session);
+            const fileSize = Number(session.fileSize);
+
+            if (!session.chunkSize) {
+                let end = 0;
+                return session.parts.filter(part => (end += part.size || 0) <= offset);
+            }
+
+            const parts = [];
+            const chunkSize = Number(session.chunkSize);
+            for (let start = 0, partNumber = 1; start < fileSize; start += chunkSize, partNumber++) {
+                const size = Math.min(chunkSize, fileSize - start);
+                if (start + size > offset) break;
+                parts.push({ partNumber, etag: null, size });
+            }
+            return parts;
+        },
+
+        // Parts of a composed upload are written as objects of their own.
+        //
+        // Parts of a resumable upload are appended to a single session, so they must arrive in order
+        // and every part but the last must be a multiple of 256KiB. The part that reaches
+        // session.fileSize finalizes the object. A part GCS already holds some of (after an
+        // interrupted attempt) is sent from the persisted offset on. The part's CRC32C covers all of
+        // its bytes, including those GCS already held.
+        uploadPart: async (session, { partNumber, body, contentLength }) => {
+            if (isComposed(session)) {
+                const file = getBucket().file(getPartKey(session, partNumber));
+                const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+                // The client library compares the crc32c GCS reports with the bytes it sent
+                await pipeline(source, file.createWriteStream({ resumable: false, validation: 'crc32c' }));
+                return { partNumber, etag: file.metadata.etag || null };
+            }
+
+            const crc32c = new CRC32C();
+            let source = body;
+            if (Buffer.isBuffer(body)) {
+                crc32c.update(body);
+            } else {
+                source = Readable.from(updateCrc32c(body, crc32c));
+            }
+
+            const partStart = getPartStart(session, partNumber);
+            const end = partStart + contentLength;
+            const offset = await getUploadOffset(session);
+
+            if (offset < partStart) {
+                throw new Error(`GCS is missing bytes before part ${partNumber}; parts must be uploaded in order`);
+            }
+            if (offset >= end && contentLength > 0) {
+                // Already stored: drain the body so the request completes
+                if (!Buffer.isBuffer(body)) {
+                    source.resume();
+                    await finished(source);
+                }
+                return { partNumber, etag: null, crc32c: crc32c.toString() };
+            }
+
+            const start = Math.min(offset, end);
+            const skip = start - partStart;
+            const total = Number(session.fileSize) === end ? end : '*';
+
+            const response = await fetch(getSessionUri(session), {
+                method: 'PUT',
+                headers: {
+                    'Content-Length': String(end - start),
+                    'Content-Range': end > start ? `bytes ${start}-${end - 1}/${total}` : `bytes */${total}`
+                },
+                body: skip === 0 ? source : (Buffer.isBuffer(body) ? body.subarray(skip) : Readable.from(skipBytes(source, skip))),
+                duplex: 'half'
+            });
+
+            // 308 means "resume incomplete": every part but the last gets it
+            if (response.status !== 308 && !response.ok) {
+                throw new Error(`GCS rejected bytes ${start}-${end - 1} (HTTP ${response.status})`);
+            }
+
+            return { partNumber, etag: null, crc32c: crc32c.toString() };
+        },
+
+        // Composed uploads are combined 32 parts at a time, in rounds, until one object is left.
+        //
+        // Finalizing a resumable upload with the total size is a no-op for sessions the last part
+        // already finished, which includes direct uploads. An object whose crc32c does not match
+        // its parts resolves { checksumMismatch: true }.
+        completeUpload: async (session) => {
+            if (isComposed(session)) {
+                const bucket = getBucket();
+                const prefix = getPartsPrefix(session);
+
+                let sources = [...session.parts]
+                    .sort((a, b) => a.partNumber - b.partNumber)
+                    .map(part => bucket.file(getPartKey(session, part.partNumber)));
+
+                for (let round = 1; sources.length > MAX_COMPOSE_SOURCES; round++) {
+                    const groups = [];
+                    for (let i = 0; i < sources.length; i += MAX_COMPOSE_SOURCES) {
+                        groups.push(sources.slice(i, i + MAX_COMPOSE_SOURCES));
+                    }
+
+                    sources = await Promise.all(groups.map(async (group, index) => {
+                        const target = bucket.file(`${prefix}compose-${round}-${index}`);
+                        await bucket.combine(group, target);
+                        return target;
+                    }));
+                }
+
+                const destination = bucket.file(session.fileKey);
+                await bucket.combine(sources, destination);
+                await destination.setMetadata({
+                    contentType: session.fileType || 'application/octet-stream',
+                    metadata: getObjectMetadata(session)
+                });
+
+                await bucket.deleteFiles({ prefix, force: true });
+                return;
+            }
+
+            const total = session.fileSize != null ? Number(session.fileSize) : getUploadedSize(session);
+
+            const response = await fetch(getSessionUri(session), {
+                method: 'PUT',
+                headers: {
+                    'Content-Range': `bytes */${total}`
+                }
+            });
+
+            if (response.status === 308) {
+                throw new Error('Upload is not finished');
+            }
+            if (!response.ok) {
+                throw new Error(`GCS could not finalize the upload (HTTP ${response.status})`);
+            }
+
+            const file = getBucket().file(session.fileKey);
+            const expected = getPartsCrc32c(session.parts);
+            if (expected) {
+                const [stored] = await file.getMetadata();
+                if (stored.crc32c !== expected) {
+                    console.error(`GCS object ${session.fileKey} has CRC32C ${stored.crc32c}, expected ${expected}`);
+                    return { checksumMismatch: true };
+                }
+            }
+
+            const metadata = getObjectMetadata(session);
+            if (Object.keys(metadata).length > 0) {
+                await file.setMetadata({ metadata });
+            }
+        },
+
+        // Cancelling a resumable session is a DELETE on its URI (answered with 499)
+        abortUpload: async (session) => {
+            if (isComposed(session)) {
+                await getBucket().deleteFiles({ prefix: getPartsPrefix(session), force: true });
+                return;
+            }
+
+            const sessionUri = getSessionUri(session);
+            if (sessionUri) {
+                await fetch(sessionUri, { method: 'DELETE' });
+            }
+        },
+
+        deleteFile: async (fileKey) => {
+            await getBucket().file(fileKey).delete();
+        },
+
+        listFiles: async ({ prefix, maxItems }) => {
+            const [fileObjects] = await getBucket().getFiles({
+                prefix,
+                maxResults: maxItems
+            });
+
+            // Parts of unfinished composed uploads are not files yet
+            return fileObjects.filter(file => !file.name.startsWith(PARTS_PREFIX)).map(file => ({
+                key: file.name,
+                size: parseInt(file.metadata.size, 10),
+                lastModified: new Date(file.metadata.updated),
+                url: getFileUrl(file.name)
+            }));
+        }
+    };
+};
+
+export default createGcpProvider;
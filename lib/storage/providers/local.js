@@ -0,0 +1,234 @@
+// Local filesystem storage provider for self-hosted and offline deployments
+//
+// Layout under LOCAL_STORAGE_DIR:
+//   <fileKey>                         completed objects
+//   .metadata/<fileKey>.json          content type and custom metadata of each object
+//   .multipart/<uploadId>/<part>      parts of in-flight uploads
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { getObjectMetadata } from '../metadata';
+
+const METADATA_DIR = '.metadata';
+const MULTIPART_DIR = '.multipart';
+
+export const createLocalProvider = () => {
+    const rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'storage'));
+    const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || '/api/files').replace(/\/+$/, '');
+
+    // Resolve a path inside the storage directory, rejecting keys that escape it
+    const resolvePath = (...segments) => {
+        const resolved = path.resolve(rootDir, ...segments);
+        if (resolved !== rootDir && !resolved.startsWith(rootDir + path.sep)) {
+            throw new Error('Invalid file key');
+        }
+        return resolved;
+    };
+
+    // Objects live anywhere but in the internal folders, which are checked after the key is
+    // normalized, so `uploads/../.multipart/...` does not reach them either
+    const getObjectPath = (fileKey) => {
+        const resolved = resolvePath(String(fileKey));
+        const [topLevel] = path.relative(rootDir, resolved).split(path.sep);
+        if (!topLevel || topLevel === METADATA_DIR || topLevel === MULTIPART_DIR) {
+            throw new Error('Invalid file key');
+        }
+        return resolved;
+    };
+    const getMetadataPath = (fileKey) => {
+        return resolvePath(METADATA_DIR, `${path.relative(rootDir, getObjectPath(fileKey))}.json`);
+    };
+    const getUploadDir = (uploadId) => {
+        if (!/^[a-f0-9]+$/.test(uploadId || '')) {
+            throw new Error('Invalid upload ID');
+        }
+        return resolvePath(MULTIPART_DIR, uploadId);
+    };
+
+    const getFileUrl = (fileKey) => {
+        return `${baseUrl}/${fileKey.split('/').map(encodeURIComponent).join('/')}`;
+    };
+
+    // Recursively collect object keys below a directory, skipping internal folders
+    const walk = async (dir, keys) => {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return keys;
+            throw error;
+        }
+
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (dir === rootDir && (entry.name === METADATA_DIR || entry.name === MULTIPART_DIR)) {
+                    continue;
+                }
+                await walk(entryPath, keys);
+            } else if (entry.isFile()) {
+                keys.push(path.relative(rootDir, entryPath).split(path.sep).join('/'));
+            }
+        }
+        return keys;
+    };
+
+    const headFile = async (fileKey) => {
+        let stats;
+        try {
+            stats = await fs.promises.stat(getObjectPath(fileKey));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        let metadata = {};
+        try {
+            metadata = JSON.parse(await fs.promises.readFile(getMetadataPath(fileKey), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        return {
+            key: fileKey,
+            size: stats.size,
+            contentType: metadata.contentType || 'application/octet-stream',
+            lastModified: stats.mtime,
+            metadata: metadata.metadata || {}
+        };
+    };
+
+    return {
+        name: 'local',
+        bucketName: rootDir,
+        getClient: () => fs.promises,
+        getFileUrl,
+        headFile,
+
+        checkAccess: async () => {
+            await fs.promises.mkdir(rootDir, { recursive: true });
+            await fs.promises.access(rootDir, fs.constants.W_OK);
+        },
+
+        initializeUpload: async ({ fileKey, fileType }) => {
+            const uploadId = crypto.randomBytes(16).toString('hex');
+            const uploadDir = getUploadDir(uploadId);
+
+            // Validate the key now rather than at completion
+            getObjectPath(fileKey);
+
+            await fs.promises.mkdir(uploadDir, { recursive: true });
+            await fs.promises.writeFile(
+                path.join(uploadDir, 'upload.json'),
+                JSON.stringify({ fileKey, fileType, createdAt: new Date().toISOString() })
+            );
+
+            return { uploadId };
+        },
+
+        // Parts written so far; temporary files of interrupted writes are not parts
+        listParts: async (session) => {
+            const uploadDir = getUploadDir(session.uploadId);
+            if (!fs.existsSync(uploadDir)) {
+                throw new Error('Upload session not found');
+            }
+
+            const names = (await fs.promises.readdir(uploadDir)).filter(name => /^\d+$/.test(name));
+            const parts = await Promise.all(names.map(async (name) => ({
+                partNumber: parseInt(name, 10),
+                etag: null,
+                size: (await fs.promises.stat(path.join(uploadDir, name))).size
+            })));
+
+            return parts.sort((a, b) => a.partNumber - b.partNumber);
+        },
+
+        uploadPart: async (session, { partNumber, body }) => {
+            const uploadDir = getUploadDir(session.uploadId);
+            if (!fs.existsSync(uploadDir)) {
+                throw new Error('Upload session not found');
+            }
+
+            // Write to a temporary file first so an interrupted stream never leaves a partial part
+            const partPath = path.join(uploadDir, String(partNumber));
+            const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+            await pipeline(source, fs.createWriteStream(`${partPath}.tmp`));
+            await fs.promises.rename(`${partPath}.tmp`, partPath);
+
+            return { partNumber, etag: null };
+        },
+
+        completeUpload: async (session) => {
+            const uploadDir = getUploadDir(session.uploadId);
+            const objectPath = getObjectPath(session.fileKey);
+            const tempPath = path.join(uploadDir, 'assembled');
+
+            // Concatenate the parts in order into a temporary file
+            const parts = [...session.parts].sort((a, b) => a.partNumber - b.partNumber);
+            const writeStream = fs.createWriteStream(tempPath);
+            try {
+                for (const part of parts) {
+                    for await (const data of fs.createReadStream(path.join(uploadDir, String(part.partNumber)))) {
+                        if (!writeStream.write(data)) {
+                            await once(writeStream, 'drain');
+                        }
+                    }
+                }
+            } finally {
+                await new Promise((resolve, reject) => {
+                    writeStream.end(err => {
+                        if (err) reject(err);
+                        else resolve();
+                    });
+                });
+            }
+
+            // Move the assembled file into place and record its metadata
+            await fs.promises.mkdir(path.dirname(objectPath), { recursive: true });
+            await fs.promises.rename(tempPath, objectPath);
+
+            const metadataPath = getMetadataPath(session.fileKey);
+            await fs.promises.mkdir(path.dirname(metadataPath), { recursive: true });
+            await fs.promises.writeFile(metadataPath, JSON.stringify({
+                contentType: session.fileType || 'application/octet-stream',
+                metadata: getObjectMetadata(session)
+            }));
+
+            await fs.promises.rm(uploadDir, { recursive: true, force: true });
+        },
+
+        abortUpload: async (session) => {
+            if (!session.uploadId) return;
+            await fs.promises.rm(getUploadDir(session.uploadId), { recursive: true, force: true });
+        },
+
+        deleteFile: async (fileKey) => {
+            await fs.promises.rm(getObjectPath(fileKey), { force: true });
+            await fs.promises.rm(getMetadataPath(fileKey), { force: true });
+        },
+
+        listFiles: async ({ prefix = '', maxItems }) => {
+            // Only walk the deepest directory the prefix names
+            const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+            const keys = await walk(resolvePath(prefixDir), []);
+
+            const matching = keys.filter(key => key.startsWith(prefix)).sort().slice(0, maxItems);
+            const files = await Promise.all(matching.map(headFile));
+
+            return files.filter(Boolean).map(file => ({
+                key: file.key,
+                size: file.size,
+                lastModified: file.lastModified,
+                url: getFileUrl(file.key)
+            }));
+        },
+
+        // Stream a stored object, used by /api/files to serve local files
+        createReadStream: (fileKey) => fs.createReadStream(getObjectPath(fileKey))
+    };
+};
+
+export default createLocalProvider;
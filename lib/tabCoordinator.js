@@ -0,0 +1,80 @@
+// Coordination between open CloudFlux tabs, so two tabs never upload the same queue.
+//
+// Tabs elect a leader with a Web Lock: the tab holding it runs every upload, and the lock passes
+// to another tab when it closes. All tabs talk over a BroadcastChannel. Messages:
+//
+//   { type: 'hello' }                        a tab opened and wants the leader's snapshot
+//   { type: 'leader' }                       this tab just became the leader
+//   { type: 'snapshot', files, isUploading } the leader's uploads (no File objects)
+//   { type: 'upload', files }                upload these files; each carries its File, or only
+//                                            the id of a file the leader already has
+//   { type: 'control', action, fileId }      pause, resume, cancel or remove a leader's upload
+//   { type: 'statsChanged' }                 the leader updated the stats and history
+//
+// Without BroadcastChannel or Web Locks (Web Locks need a secure context) every tab leads itself,
+// as if it were the only one.
+
+const CHANNEL_NAME = 'cloudflux-uploads';
+const LEADER_LOCK = 'cloudflux-upload-leader';
+
+export const canCoordinateTabs = () => {
+  return typeof BroadcastChannel !== 'undefined' && typeof navigator !== 'undefined' && Boolean(navigator.locks);
+};
+
+// Join the other tabs. `onMessage(message)` receives their messages and `onLeadership()` is called
+// once this tab becomes the leader. `ready` resolves once the tab knows whether it leads.
+export const createTabCoordinator = ({ onMessage, onLeadership }) => {
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  const abortController = new AbortController();
+  let leader = false;
+  let releaseLock = null;
+  let markReady;
+  const ready = new Promise(resolve => {
+    markReady = resolve;
+  });
+
+  // Hold the lock until the tab closes or the coordinator is closed
+  const lead = () => {
+    leader = true;
+    markReady();
+    onLeadership();
+    return new Promise(resolve => {
+      releaseLock = resolve;
+    });
+  };
+
+  channel.onmessage = (event) => onMessage(event.data);
+
+  navigator.locks.request(LEADER_LOCK, { ifAvailable: true }, (lock) => {
+    if (lock) {
+      return lead();
+    }
+
+    // Another tab leads; wait in line to take over
+    markReady();
+    return navigator.locks.request(LEADER_LOCK, { signal: abortController.signal }, lead);
+  }).catch(error => {
+    if (error.name !== 'AbortError') {
+      console.error('Error electing the upload tab:', error);
+    }
+  });
+
+  return {
+    ready,
+    isLeader: () => leader,
+    post: (message) => channel.postMessage(message),
+    close: () => {
+      leader = false;
+      abortController.abort();
+      if (releaseLock) {
+        releaseLock();
+      }
+      channel.close();
+    }
+  };
+};
+
+export default {
+  canCoordinateTabs,
+  createTabCoordinator
+};
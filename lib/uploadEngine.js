@@ -0,0 +1,29 @@
+// Names shared by the background upload engine (lib/uploadEngine.sw.js) and the pages talking to
+// it (lib/backgroundUploads.js).
+//
+// Pages post { type: 'start' } to make the engine work through its queue, and { type: 'pause' } or
+// { type: 'cancel' } with a fileId after setting that status on the queue entry. The engine posts
+// to every open tab, with `source` set to ENGINE_MESSAGE_SOURCE:
+//
+//   { type: 'status', fileId, status }            an upload started ('uploading') or was cancelled
+//   { type: 'progress', fileId, progress }        percentage of chunks stored
+//   { type: 'backgroundFetch', fileId, id, offset }
+//                                                 the browser sends the next batch of chunks as the
+//                                                 background fetch `id`; `offset` bytes were stored before
+//   { type: 'completed', fileId, key, url }       the file is stored under `key`
+//   { type: 'failed', fileId, error }             the upload gave up
+
+export const ENGINE_MESSAGE_SOURCE = 'cloudflux-upload-engine';
+
+// Background Fetch registrations are named after the file they upload, followed by ':' and the
+// first part of their batch
+export const BACKGROUND_FETCH_PREFIX = 'cloudflux-upload:';
+
+// Background Sync tag that wakes the engine to continue its queue
+export const UPLOAD_SYNC_TAG = 'cloudflux-uploads';
+
+export default {
+  ENGINE_MESSAGE_SOURCE,
+  BACKGROUND_FETCH_PREFIX,
+  UPLOAD_SYNC_TAG
+};
@@ -0,0 +1,556 @@
+// Service Worker upload engine, registered by lib/backgroundUploads.js.
+//
+// Files handed over to it keep uploading after the tab that selected them is closed. The engine
+// owns every `uploadQueue` entry marked `background`: it reads the File stored with the entry, sends
+// its chunks through /api/upload-chunk (or straight to storage for direct uploads), records every
+// acknowledged part and completes the upload, like the page does. Pages pause and cancel uploads
+// by setting the entry's status; the engine checks it before every chunk. Progress and results are
+// posted to every open CloudFlux tab (see lib/uploadEngine.js).
+//
+// Where the browser supports Background Fetch, the chunks of a file are handed to it a batch at a
+// time, each batch as one background fetch: the browser sends them with its own progress UI, even
+// while this worker is stopped, and wakes it when they are done to read and hash the next batch.
+// Elsewhere the engine sends the chunks itself, and so it does for files with upload limits (rate
+// limits or a schedule, handed over with the file), which a background fetch cannot keep to. The
+// browser stops idle service workers after a few minutes, so Background Sync (or the next tab
+// that opens) wakes it again, and it continues from the parts recorded so far.
+import { uploadQueueService, uploadHistoryService, DEFAULT_UPLOAD_LIMITS } from './db';
+import { DEFAULT_RETRY_OPTIONS, createResponseError, fetchWithRetryAfter, getRetryAfter, withRetry } from './retry';
+import { createRateLimiter, throttle, isUploadAllowed, hasUploadLimits } from './uploadLimits';
+import { CHECKSUM_ALGORITHM, canComputeChecksums, computeChecksum, computeCrc32c, getCompositeChecksum } from './chunkChecksum';
+import { createPartUrlResolver, keepRecordedCrc32c, putChunkDirect } from './directUpload';
+import { ENGINE_MESSAGE_SOURCE, BACKGROUND_FETCH_PREFIX, UPLOAD_SYNC_TAG } from './uploadEngine';
+
+// Chunk size to ask for; the server fits it to the provider's part limits
+const CHUNK_SIZE = 5 * 1024 * 1024;
+
+// Chunks the browser sends in parallel within a background fetch
+const BACKGROUND_FETCH_CONCURRENCY = 4;
+
+// Chunks handed to one background fetch; the next batch is only read once this one is sent
+const BACKGROUND_FETCH_BATCH = 8;
+
+// Queue statuses the engine works on, and those a page sets to stop it
+const QUEUED_STATUSES = ['pending', 'uploading'];
+const STOPPED_STATUSES = ['paused', 'cancelled'];
+
+// Promise of the queue run in progress, so messages and sync events never start a second one
+let running = null;
+
+// Limits of the upload being sent. The total rate holds across the files the engine sends in turn.
+let currentLimits = DEFAULT_UPLOAD_LIMITS;
+const totalLimiter = createRateLimiter(() => currentLimits.totalRate);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A new version of the engine takes over without waiting for tabs to close; uploads continue
+// from their recorded parts
+self.addEventListener('install', () => self.skipWaiting());
+
+// Post a message to every open tab, whether or not this worker controls it
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ source: ENGINE_MESSAGE_SOURCE, ...message }));
+};
+
+const postUploadAction = async (body) => {
+  const response = await fetchWithRetryAfter('/api/upload-chunk', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `Upload action ${body.action} failed (HTTP ${response.status})`);
+  }
+  return result;
+};
+
+const getChunkUrl = ({ fileKey, uploadId }, fileId, chunkIndex, totalChunks, checksum) => {
+  const params = new URLSearchParams({
+    action: 'upload',
+    fileId,
+    fileKey,
+    uploadId: uploadId || '',
+    currentChunk: chunkIndex,
+    totalChunks
+  });
+  if (checksum) {
+    params.set('checksum', checksum);
+  }
+  return `/api/upload-chunk?${params}`;
+};
+
+const canBackgroundFetch = () => 'backgroundFetch' in self.registration;
+
+// Whether the browser should send the entry's chunks: not after a background fetch lost some, and
+// not when the user's rate limits or schedule apply to them
+const usesBackgroundFetch = (entry) => {
+  return canBackgroundFetch() && !entry.backgroundFetch?.failed && !hasUploadLimits(entry.limits);
+};
+
+// Background fetches are named after their file and the first part of their batch
+const getBackgroundFetchId = (fileId, partNumber) => `${BACKGROUND_FETCH_PREFIX}${fileId}:${partNumber}`;
+const getBackgroundFetchFileId = (id) => id.slice(BACKGROUND_FETCH_PREFIX.length).split(':')[0];
+
+const getBackgroundFetch = async (id) => {
+  return canBackgroundFetch() ? (await self.registration.backgroundFetch.get(id)) || null : null;
+};
+
+// The File stored with the entry, or the file behind its handle while reading it is still allowed
+const getEntryFile = async (entry) => {
+  if (entry.file) {
+    return entry.file;
+  }
+
+  if (entry.fileHandle && await entry.fileHandle.queryPermission({ mode: 'read' }) === 'granted') {
+    const file = await entry.fileHandle.getFile();
+    if (file.size === entry.fileSize && file.lastModified === entry.lastModified) {
+      return file;
+    }
+  }
+  return null;
+};
+
+// Continue the server-side session of the entry, or start a new one
+const openSession = async (entry, file) => {
+  if (entry.fileKey) {
+    try {
+      const resumed = await postUploadAction({ action: 'resume', fileId: entry.fileId });
+      const parts = keepRecordedCrc32c(resumed.parts, entry.completedParts);
+      await uploadQueueService.setCompletedParts(entry.fileId, parts);
+      return { ...resumed, parts, chunkSize: resumed.chunkSize || entry.chunkSize || CHUNK_SIZE };
+    } catch (error) {
+      console.warn(`Could not resume ${entry.fileName}, starting over:`, error);
+    }
+  }
+
+  const session = await postUploadAction({
+    action: 'initialize',
+    fileId: entry.fileId,
+    fileName: entry.fileName,
+    fileType: entry.fileType,
+    fileSize: file.size,
+    chunkSize: CHUNK_SIZE,
+    totalChunks: Math.ceil(file.size / CHUNK_SIZE),
+    // The engine sends one chunk at a time; background fetches send several
+    partConcurrency: usesBackgroundFetch(entry) ? BACKGROUND_FETCH_CONCURRENCY : 1,
+    ...(canComputeChecksums() && { checksumAlgorithm: CHECKSUM_ALGORITHM })
+  });
+
+  const chunkSize = session.chunkSize || CHUNK_SIZE;
+  await uploadQueueService.saveSession(entry.fileId, {
+    ...session,
+    chunkSize,
+    totalChunks: Math.ceil(file.size / chunkSize)
+  });
+
+  return { ...session, chunkSize, parts: [] };
+};
+
+// Send the chunks storage does not hold yet, one at a time, paced to the entry's rate limits.
+// Resolves every part, or null when the page paused or cancelled the upload or its schedule stopped
+// it; the latter is left pending for when the schedule allows it again.
+const sendChunks = async (entry, file, session) => {
+  const { fileId } = entry;
+  const { chunkSize, direct } = session;
+  const totalChunks = Math.ceil(file.size / chunkSize);
+  const verifyChunks = session.checksumAlgorithm === CHECKSUM_ALGORITHM && canComputeChecksums();
+  const parts = new Map(session.parts.map(part => [part.partNumber, part]));
+
+  const getPartUrl = direct?.strategy === 'parts'
+    ? createPartUrlResolver(fileId, totalChunks, session.partUrls)
+    : null;
+  currentLimits = entry.limits || DEFAULT_UPLOAD_LIMITS;
+  const fileLimiter = createRateLimiter(() => currentLimits.fileRate);
+  const limiters = [totalLimiter, fileLimiter];
+
+  for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+    const partNumber = chunkIndex + 1;
+    if (parts.has(partNumber)) {
+      continue;
+    }
+
+    const start = chunkIndex * chunkSize;
+    const end = Math.min(start + chunkSize, file.size);
+
+    // Wait for the rate limits before checking the status, so a pause during the wait still applies
+    await throttle(limiters, end - start);
+
+    const current = await uploadQueueService.getByFileId(fileId);
+    if (!current || STOPPED_STATUSES.includes(current.status)) {
+      return null;
+    }
+
+    // A page may have changed the limits since the last chunk
+    currentLimits = current.limits || DEFAULT_UPLOAD_LIMITS;
+    if (!isUploadAllowed(currentLimits)) {
+      await uploadQueueService.updateStatus(fileId, 'pending');
+      await notifyClients({ type: 'status', fileId, status: 'pending' });
+      return null;
+    }
+
+    // Retries are paced like new chunks
+    const onRetry = async () => {
+      await uploadQueueService.incrementRetryCount(fileId);
+      await throttle(limiters, end - start);
+    };
+    let part;
+
+    if (direct) {
+      // A resumable session may already hold the beginning of this chunk
+      const sendFrom = session.offset > start && session.offset < end ? session.offset : start;
+
+      // GCS checks a resumable session's object against the CRC32C of every whole chunk
+      let crc32c = null;
+
+      const stored = await withRetry(async (signal) => {
+        let chunk = file.slice(sendFrom, end);
+        if (direct.strategy === 'resumable') {
+          const body = await file.slice(start, end).arrayBuffer();
+          crc32c = computeCrc32c(body);
+          chunk = new Uint8Array(body, sendFrom - start);
+        }
+
+        return putChunkDirect({
+          direct,
+          getPartUrl,
+          chunk,
+          partNumber,
+          start: sendFrom,
+          fileSize: file.size,
+          signal
+        });
+      }, DEFAULT_RETRY_OPTIONS, onRetry);
+      part = { ...stored, size: end - start, checksum: null, crc32c };
+    } else {
+      part = await withRetry(async (signal) => {
+        const body = await file.slice(start, end).arrayBuffer();
+        const checksum = verifyChunks ? await computeChecksum(body) : null;
+
+        const response = await fetch(getChunkUrl(session, fileId, chunkIndex, totalChunks, checksum), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/octet-stream',
+          },
+          body,
+          signal,
+        });
+
+        // Corrupted on the way: sent again, unless the server had to drop an ordered session
+        if (response.status === 422) {
+          const mismatch = await response.json();
+          const error = new Error(mismatch.error || `Checksum mismatch in chunk ${partNumber}/${totalChunks}`);
+          error.retryable = Boolean(mismatch.checksumMismatch) && !session.ordered;
+          throw error;
+        }
+        // A cancelled upload is answered with 409 and `cancelled: true`
+        if (!response.ok && response.status !== 409) {
+          throw createResponseError(response, `Failed to upload chunk ${partNumber}/${totalChunks}`);
+        }
+
+        const result = await response.json();
+        if (result.cancelled) {
+          return null;
+        }
+        if (!result.success) {
+          throw new Error(result.error || `Failed to upload chunk ${partNumber}/${totalChunks}`);
+        }
+        return { partNumber, etag: null, size: end - start, checksum };
+      }, DEFAULT_RETRY_OPTIONS, onRetry);
+
+      if (!part) {
+        return null;
+      }
+    }
+
+    parts.set(partNumber, part);
+    await uploadQueueService.addCompletedPart(fileId, part);
+    await notifyClients({ type: 'progress', fileId, progress: Math.floor((parts.size / totalChunks) * 100) });
+  }
+
+  return [...parts.values()];
+};
+
+const completeUpload = async (entry, session, parts) => {
+  const sortedParts = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+  // Only parts that went through the server carry checksums
+  const fileChecksum = session.direct ? null : await getCompositeChecksum(sortedParts);
+
+  const result = await postUploadAction({
+    action: 'complete',
+    fileId: entry.fileId,
+    uploadId: session.uploadId,
+    fileKey: session.fileKey,
+    ...(fileChecksum && { checksum: fileChecksum }),
+    ...(session.direct && { parts: sortedParts.map(({ partNumber, etag, crc32c }) => ({ partNumber, etag, crc32c })) })
+  });
+
+  await uploadHistoryService.addToHistory({
+    fileName: entry.fileName,
+    fileSize: entry.fileSize,
+    status: 'completed',
+    fileKey: result.key,
+    url: result.url,
+    checksum: result.checksum || null,
+    uploadedBy: result.uploadedBy || null,
+    background: true
+  });
+  await uploadQueueService.clearSession(entry.fileId);
+  await uploadQueueService.finishBackground(entry.fileId, 'completed');
+  await notifyClients({ type: 'completed', fileId: entry.fileId, key: result.key, url: result.url });
+};
+
+const failUpload = async (entry, error) => {
+  console.error(`Background upload of ${entry.fileName} failed:`, error);
+  await uploadQueueService.finishBackground(entry.fileId, 'failed');
+  await notifyClients({ type: 'failed', fileId: entry.fileId, error: error.message });
+};
+
+// Hand the next batch of chunks storage does not hold yet to the browser as one background fetch
+const startBackgroundFetch = async (entry, file, session) => {
+  const { fileId } = entry;
+  const { chunkSize } = session;
+  const totalChunks = Math.ceil(file.size / chunkSize);
+  const verifyChunks = session.checksumAlgorithm === CHECKSUM_ALGORITHM && canComputeChecksums();
+  const stored = new Set(session.parts.map(part => part.partNumber));
+  const getChunkSize = (chunkIndex) => Math.min(chunkSize, file.size - chunkIndex * chunkSize);
+
+  const pendingChunks = [];
+  for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+    if (!stored.has(chunkIndex + 1)) {
+      pendingChunks.push(chunkIndex);
+    }
+  }
+
+  if (pendingChunks.length === 0) {
+    await completeUpload(entry, session, session.parts);
+    return;
+  }
+
+  const batch = pendingChunks.slice(0, BACKGROUND_FETCH_BATCH);
+  const requests = [];
+  let uploadTotal = 0;
+
+  for (const chunkIndex of batch) {
+    const start = chunkIndex * chunkSize;
+    const end = start + getChunkSize(chunkIndex);
+    const chunk = file.slice(start, end);
+    // Computed before the batch is handed over, since this worker may be stopped while the browser sends
+    const checksum = verifyChunks ? await computeChecksum(await chunk.arrayBuffer()) : null;
+
+    requests.push(new Request(getChunkUrl(session, fileId, chunkIndex, totalChunks, checksum), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      body: chunk,
+    }));
+    uploadTotal += end - start;
+  }
+
+  // Recorded first: a short fetch may settle before fetch() resolves
+  const backgroundFetch = {
+    id: getBackgroundFetchId(fileId, batch[0] + 1),
+    offset: file.size - pendingChunks.reduce((total, chunkIndex) => total + getChunkSize(chunkIndex), 0)
+  };
+  await uploadQueueService.setBackgroundFetch(fileId, backgroundFetch);
+  try {
+    await self.registration.backgroundFetch.fetch(backgroundFetch.id, requests, {
+      title: `Uploading ${entry.fileName}`,
+      uploadTotal
+    });
+  } catch (error) {
+    await uploadQueueService.setBackgroundFetch(fileId, null);
+    throw error;
+  }
+  await notifyClients({ type: 'backgroundFetch', fileId, ...backgroundFetch });
+};
+
+const uploadEntry = async (entry) => {
+  try {
+    const file = await getEntryFile(entry);
+    if (!file) {
+      throw new Error('The file can no longer be read; select it again');
+    }
+
+    await uploadQueueService.updateStatus(entry.fileId, 'uploading');
+    await notifyClients({ type: 'status', fileId: entry.fileId, status: 'uploading' });
+
+    // Chunks of a background fetch were rate limited: wait as long as the server asked
+    const retryIn = (entry.backgroundFetch?.retryAt || 0) - Date.now();
+    if (retryIn > 0) {
+      await sleep(retryIn);
+    }
+
+    const session = await openSession(entry, file);
+
+    // Background fetches send chunks in parallel, which sessions that append to one stream do not take
+    if (usesBackgroundFetch(entry) && !session.direct && !session.ordered) {
+      await startBackgroundFetch(entry, file, session);
+      return;
+    }
+
+    const parts = await sendChunks(entry, file, session);
+    if (parts) {
+      await completeUpload(entry, session, parts);
+    }
+  } catch (error) {
+    await failUpload(entry, error);
+  }
+};
+
+// Entries waiting for the engine; those a background fetch is sending are left to it, and those
+// outside their schedule wait for a page to wake the engine once it allows them
+const getQueuedEntries = async () => {
+  const entries = (await uploadQueueService.getBackgroundEntries())
+    .filter(entry => QUEUED_STATUSES.includes(entry.status) && isUploadAllowed(entry.limits || DEFAULT_UPLOAD_LIMITS));
+
+  const queued = [];
+  for (const entry of entries) {
+    if (entry.backgroundFetch?.id && await getBackgroundFetch(entry.backgroundFetch.id)) {
+      continue;
+    }
+    queued.push(entry);
+  }
+  return queued;
+};
+
+// Upload queued files one at a time until none are left
+const runQueue = () => {
+  if (!running) {
+    running = (async () => {
+      for (;;) {
+        const [entry] = await getQueuedEntries();
+        if (!entry) {
+          return;
+        }
+        await uploadEntry(entry);
+      }
+    })().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+// Record the chunks a background fetch delivered, then complete the upload or hand the next batch
+// over; when some were lost, the engine sends the rest itself
+const settleBackgroundFetch = async (registration, { aborted = false } = {}) => {
+  const fileId = getBackgroundFetchFileId(registration.id);
+  const entry = await uploadQueueService.getByFileId(fileId);
+  if (!entry) {
+    return;
+  }
+
+  let lost = false;
+  let retryAfter = 0;
+  const records = await registration.matchAll();
+  for (const record of records) {
+    const response = await record.responseReady.catch(() => null);
+    const result = response?.ok ? await response.json().catch(() => null) : null;
+    if (!result?.success) {
+      lost = true;
+      if (response?.status === 429) {
+        retryAfter = Math.max(retryAfter, getRetryAfter(response) || 0);
+      }
+      continue;
+    }
+
+    const params = new URL(record.request.url).searchParams;
+    const chunkIndex = parseInt(params.get('currentChunk'), 10);
+    const start = chunkIndex * entry.chunkSize;
+
+    await uploadQueueService.addCompletedPart(fileId, {
+      partNumber: chunkIndex + 1,
+      etag: null,
+      size: Math.min(entry.chunkSize, entry.fileSize - start),
+      checksum: params.get('checksum')
+    });
+  }
+
+  const updated = await uploadQueueService.getByFileId(fileId);
+
+  // Paused or cancelled by a page, which aborted the fetch; the parts stay for a later resume
+  if (STOPPED_STATUSES.includes(updated.status)) {
+    await uploadQueueService.setBackgroundFetch(fileId, null);
+    return;
+  }
+
+  // Cancelled from the browser's own download UI
+  if (aborted) {
+    await uploadQueueService.clearSession(fileId);
+    await uploadQueueService.finishBackground(fileId, 'cancelled');
+    await postUploadAction({ action: 'abort', fileId }).catch(error => {
+      console.error(`Error aborting cancelled upload of ${updated.fileName}:`, error);
+    });
+    await notifyClients({ type: 'status', fileId, status: 'cancelled' });
+    return;
+  }
+
+  if (updated.completedParts.length >= updated.totalChunks) {
+    await uploadQueueService.setBackgroundFetch(fileId, null);
+    try {
+      await completeUpload(updated, updated, updated.completedParts);
+    } catch (error) {
+      await failUpload(updated, error);
+    }
+    return;
+  }
+
+  // The next batch goes out as another background fetch. Lost chunks the engine sends itself, with
+  // retries, once the server takes requests again.
+  await uploadQueueService.setBackgroundFetch(fileId, lost ? { failed: true, retryAt: Date.now() + retryAfter } : null);
+  await uploadQueueService.updateStatus(fileId, 'pending');
+  await runQueue();
+};
+
+self.addEventListener('message', (event) => {
+  const { type, fileId } = event.data || {};
+
+  if (type === 'start') {
+    event.waitUntil(Promise.all([
+      self.registration.sync?.register(UPLOAD_SYNC_TAG).catch(() => null),
+      runQueue()
+    ]));
+  } else if (type === 'pause' || type === 'cancel') {
+    // The page already set the entry's status, which stops the engine before its next chunk; a
+    // background fetch has to be stopped explicitly. A cancelled entry no longer names it.
+    event.waitUntil((async () => {
+      const ids = canBackgroundFetch() ? await self.registration.backgroundFetch.getIds() : [];
+      for (const id of ids.filter(fetchId => getBackgroundFetchFileId(fetchId) === fileId)) {
+        const backgroundFetch = await getBackgroundFetch(id);
+        if (backgroundFetch) {
+          await backgroundFetch.abort();
+        }
+      }
+    })());
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === UPLOAD_SYNC_TAG) {
+    event.waitUntil(runQueue());
+  }
+});
+
+self.addEventListener('backgroundfetchsuccess', (event) => {
+  event.waitUntil((async () => {
+    await settleBackgroundFetch(event.registration);
+    await event.updateUI({ title: 'Upload finished' });
+  })());
+});
+
+self.addEventListener('backgroundfetchfail', (event) => {
+  event.waitUntil((async () => {
+    await settleBackgroundFetch(event.registration);
+    await event.updateUI({ title: 'Upload continues in the background' });
+  })());
+});
+
+self.addEventListener('backgroundfetchabort', (event) => {
+  event.waitUntil(settleBackgroundFetch(event.registration, { aborted: true }));
+});
@@ -0,0 +1,90 @@
+// Browser-side upload limits: rate limiters that pace chunk requests, and the upload schedule
+// (a start time and a daily window) that decides when queued uploads may run. The limits
+// themselves are stored by uploadLimitsManager in lib/db.js.
+
+// Pace requests to at most `getRate()` bytes per second (0 for no limit). Each request reserves
+// the next free time slot, so requests sharing a limiter take turns.
+export const createRateLimiter = (getRate) => {
+  let nextFree = 0;
+
+  return {
+    // Reserve a slot for `bytes` and return how many milliseconds to wait before sending them
+    reserve: (bytes) => {
+      const rate = getRate();
+      const now = Date.now();
+      if (!rate) {
+        nextFree = now;
+        return 0;
+      }
+
+      const start = Math.max(nextFree, now);
+      nextFree = start + (bytes / rate) * 1000;
+      return start - now;
+    }
+  };
+};
+
+// Wait until every limiter allows sending `bytes`
+export const throttle = async (limiters, bytes) => {
+  const delay = Math.max(0, ...limiters.map(limiter => limiter.reserve(bytes)));
+  if (delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+};
+
+// Minutes since midnight of an 'HH:MM' time
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const hasWindow = ({ windowStart, windowEnd }) => Boolean(windowStart && windowEnd);
+
+// Whether `date` falls in the daily window, which may span midnight (22:00 to 06:00)
+const isInWindow = ({ windowStart, windowEnd }, date) => {
+  const start = toMinutes(windowStart);
+  const end = toMinutes(windowEnd);
+  const now = date.getHours() * 60 + date.getMinutes();
+
+  if (start === end) {
+    return true;
+  }
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Whether uploads may run at `date`
+export const isUploadAllowed = (limits, date = new Date()) => {
+  if (limits.startAt && date < new Date(limits.startAt)) {
+    return false;
+  }
+  return !hasWindow(limits) || isInWindow(limits, date);
+};
+
+// Whether any rate limit or schedule is set
+export const hasUploadLimits = (limits) => {
+  return Boolean(limits && (limits.totalRate || limits.fileRate || limits.startAt || hasWindow(limits)));
+};
+
+// When uploads may run next: `date` itself when they may run now
+export const getNextUploadTime = (limits, date = new Date()) => {
+  let next = limits.startAt && date < new Date(limits.startAt) ? new Date(limits.startAt) : date;
+
+  if (hasWindow(limits) && !isInWindow(limits, next)) {
+    const opens = new Date(next);
+    const start = toMinutes(limits.windowStart);
+    opens.setHours(Math.floor(start / 60), start % 60, 0, 0);
+    if (opens < next) {
+      opens.setDate(opens.getDate() + 1);
+    }
+    next = opens;
+  }
+  return next;
+};
+
+export default {
+  createRateLimiter,
+  throttle,
+  isUploadAllowed,
+  hasUploadLimits,
+  getNextUploadTime
+};
@@ -0,0 +1,105 @@
+// Browser-side upload scheduler: a pool that starts the next waiting file as soon as one of its
+// slots frees up. The pool size is read again every time a slot frees, so concurrency changes
+// apply to a running queue, and files can be added at any time. A pool size of 0 holds the queue:
+// waiting files start once it goes up again and refresh() is called.
+
+export const createUploadScheduler = ({ getConcurrency, runTask, onChange, onIdle }) => {
+  // Files waiting for a slot, in order
+  const waiting = [];
+  // fileId -> promise of the running task
+  const active = new Map();
+  // Resolvers of whenIdle() promises
+  let idleResolvers = [];
+
+  const isIdle = () => waiting.length === 0 && active.size === 0;
+
+  const notify = () => {
+    if (typeof onChange === 'function') {
+      onChange({
+        waiting: waiting.map(file => file.id),
+        active: Array.from(active.keys())
+      });
+    }
+  };
+
+  // Fill free slots from the front of the queue
+  const pump = () => {
+    const concurrency = Math.max(0, getConcurrency());
+
+    while (waiting.length > 0 && active.size < concurrency) {
+      const file = waiting.shift();
+      const task = Promise.resolve()
+        .then(() => runTask(file))
+        .catch(error => console.error(`Upload task for ${file.name} failed:`, error))
+        .finally(() => {
+          active.delete(file.id);
+          pump();
+        });
+      active.set(file.id, task);
+    }
+
+    notify();
+
+    if (isIdle()) {
+      const resolvers = idleResolvers;
+      idleResolvers = [];
+      resolvers.forEach(resolve => resolve());
+
+      if (typeof onIdle === 'function') {
+        onIdle();
+      }
+    }
+  };
+
+  return {
+    // Queue files behind the ones already waiting; a file that is already waiting keeps its place
+    enqueue: (files) => {
+      files.forEach(file => {
+        if (!waiting.some(waitingFile => waitingFile.id === file.id)) {
+          waiting.push(file);
+        }
+      });
+      pump();
+    },
+
+    // Take a waiting file out of the queue; running tasks are not affected
+    remove: (fileId) => {
+      const index = waiting.findIndex(file => file.id === fileId);
+      if (index !== -1) {
+        waiting.splice(index, 1);
+        pump();
+      }
+    },
+
+    // Drop every waiting file
+    clear: () => {
+      waiting.length = 0;
+      pump();
+    },
+
+    // Start more tasks after the concurrency went up
+    refresh: () => pump(),
+
+    isWaiting: (fileId) => waiting.some(file => file.id === fileId),
+    isActive: (fileId) => active.has(fileId),
+    isIdle,
+
+    // 1-based position of a waiting file, or null
+    getPosition: (fileId) => {
+      const index = waiting.findIndex(file => file.id === fileId);
+      return index === -1 ? null : index + 1;
+    },
+
+    // Resolves once nothing is waiting or running
+    whenIdle: () => {
+      if (isIdle()) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => idleResolvers.push(resolve));
+    }
+  };
+};
+
+export default {
+  createUploadScheduler
+};
@@ -0,0 +1,83 @@
+// Upload session store shared by every instance of /api/upload-chunk (and of the other API routes
+// for revoked session tokens and rate limits)
+//
+// Sessions live outside the process that created them, so a restart, a hot reload or another
+// replica behind a load balancer can continue any in-flight upload. Every store implements:
+//
+//   getSession(fileId)                resolves the session with its parts sorted by number, or null
+//   saveSession(session)              stores a session including session.parts, replacing any previous one
+//   updateSession(fileId, fields)     merges top-level fields into a stored session
+//   addPart(fileId, part)             records one uploaded part ({ partNumber, etag, size });
+//                                     safe to call concurrently for different parts
+//   deleteSession(fileId)             forgets a session and its parts
+//   markCancelled(fileId, fileKey, userId)
+//                                     flags an upload as cancelled, keeping its file key for cleanup
+//                                     and the user who cancelled it
+//   getCancelled(fileId)              resolves { fileKey, userId } for a cancelled upload, or null
+//   clearCancelled(fileId)            removes the cancellation flag
+//   getContentEntry(contentHash)      resolves { fileKey, fileSize } of the object stored with that
+//                                     content hash, or null
+//   saveContentEntry(contentHash, entry)  records the object a content hash was stored as
+//   deleteContentEntry(contentHash)   forgets a content hash whose object is gone
+//   revokeToken(tokenId, expiresAt)   records a session token id as revoked until expiresAt (ms)
+//   isTokenRevoked(tokenId)           resolves whether a session token id was revoked
+//   incrementCounter(key, ttl)        adds one to a counter, which expires ttl ms after its first
+//                                     increment; resolves { count, expiresAt }
+//   getCounter(key)                   resolves { count, expiresAt } of an unexpired counter, or null
+//   decrementCounter(key)             takes one off an unexpired counter, never below zero, keeping
+//                                     its expiry
+//   deleteCounter(key)                removes a counter
+//   touchMember(key, member, ttl)     adds a member to a set, or renews it, for ttl ms
+//   removeMember(key, member)         removes a member from a set
+//   countMembers(key)                 resolves the number of unexpired members of a set
+//
+// Sessions and cancellation flags expire SESSION_TTL seconds after they were last written. Content
+// entries (the deduplication index) never expire; stale ones are removed when a lookup finds their
+// object missing. Revoked token ids are kept until their token would have expired anyway. Counters and
+// set members (used by lib/rateLimit.js) expire as described above.
+import { createFileSessionStore } from './stores/file';
+import { createMemorySessionStore } from './stores/memory';
+import { createRedisSessionStore } from './stores/redis';
+
+// Keep abandoned sessions for a week unless configured otherwise
+export const SESSION_TTL = parseInt(process.env.UPLOAD_SESSION_TTL || String(7 * 24 * 60 * 60), 10);
+
+// Store factories by name, and the instances created from them
+const storeFactories = new Map();
+const storeInstances = new Map();
+
+// Register a store factory under an UPLOAD_SESSION_STORE value
+export const registerSessionStore = (name, factory) => {
+    storeFactories.set(name, factory);
+    storeInstances.delete(name);
+};
+
+// Name of the store configured for this deployment
+export const getSessionStoreName = () => process.env.UPLOAD_SESSION_STORE || 'file';
+
+// Get (and lazily create) a store instance
+export const getSessionStore = (name = getSessionStoreName()) => {
+    if (!storeInstances.has(name)) {
+        const factory = storeFactories.get(name);
+
+        if (!factory) {
+            throw new Error(`Unsupported upload session store: ${name}`);
+        }
+
+        storeInstances.set(name, factory({ ttl: SESSION_TTL }));
+    }
+
+    return storeInstances.get(name);
+};
+
+// Built-in stores
+registerSessionStore('file', createFileSessionStore);
+registerSessionStore('redis', createRedisSessionStore);
+registerSessionStore('memory', createMemorySessionStore);
+
+export default {
+    SESSION_TTL,
+    registerSessionStore,
+    getSessionStoreName,
+    getSessionStore
+};
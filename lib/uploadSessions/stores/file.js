@@ -0,0 +1,308 @@
+// File-backed upload session store, for single hosts or replicas sharing a volume
+//
+// Layout under UPLOAD_SESSION_DIR (file IDs are hashed into directory names):
+//   sessions/<id>/session.json      session fields
+//   sessions/<id>/parts/<n>.json    one file per uploaded part, so parts never overwrite each other
+//   cancelled/<id>.json             { fileKey, userId } of a cancelled upload
+//   content/<hash>.json             { fileKey, fileSize } stored under a content hash
+//   revoked/<id>.json               { expiresAt } of a revoked session token
+//   counters/<id>.json              { count, expiresAt } of a rate limit counter
+//   members/<id>/<member id>.json   { expiresAt } of one member of a set
+//
+// Every file is written to a temporary name and renamed into place, so readers never see partial JSON.
+// Counter changes are serialized within a process only; replicas sharing the volume may lose a
+// change now and then, which rate limits can live with.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Sweep expired sessions at most once an hour
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+
+export const createFileSessionStore = ({ ttl }) => {
+    const rootDir = path.resolve(process.env.UPLOAD_SESSION_DIR || './.upload-sessions');
+    const sessionsDir = path.join(rootDir, 'sessions');
+    const cancelledDir = path.join(rootDir, 'cancelled');
+    const contentDir = path.join(rootDir, 'content');
+    const revokedDir = path.join(rootDir, 'revoked');
+    const countersDir = path.join(rootDir, 'counters');
+    const membersDir = path.join(rootDir, 'members');
+    let lastSweep = 0;
+
+    // Counter key -> promise of its last change, so changes in this process never interleave
+    const counterWrites = new Map();
+
+    const getId = (fileId) => crypto.createHash('sha256').update(String(fileId)).digest('hex');
+    const getSessionDir = (fileId) => path.join(sessionsDir, getId(fileId));
+    const getCancelledPath = (fileId) => path.join(cancelledDir, `${getId(fileId)}.json`);
+    const getContentPath = (contentHash) => path.join(contentDir, `${getId(contentHash)}.json`);
+    const getRevokedPath = (tokenId) => path.join(revokedDir, `${getId(tokenId)}.json`);
+    const getCounterPath = (key) => path.join(countersDir, `${getId(key)}.json`);
+    const getMembersDir = (key) => path.join(membersDir, getId(key));
+
+    const writeJson = async (filePath, data) => {
+        const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(data));
+        await fs.promises.rename(tempPath, filePath);
+    };
+
+    const readJson = async (filePath) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    const getMtime = async (filePath) => {
+        try {
+            return (await fs.promises.stat(filePath)).mtimeMs;
+        } catch (error) {
+            return 0;
+        }
+    };
+
+    // A session is last written when session.json is replaced or a part lands in parts/
+    const isExpired = async (sessionDir) => {
+        const lastWrite = Math.max(
+            await getMtime(path.join(sessionDir, 'session.json')),
+            await getMtime(path.join(sessionDir, 'parts'))
+        );
+        return Date.now() - lastWrite > ttl * 1000;
+    };
+
+    const readParts = async (sessionDir) => {
+        let names;
+        try {
+            names = await fs.promises.readdir(path.join(sessionDir, 'parts'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const parts = await Promise.all(
+            names
+                .filter(name => name.endsWith('.json'))
+                .map(name => readJson(path.join(sessionDir, 'parts', name)))
+        );
+
+        return parts
+            .filter(Boolean)
+            .sort((a, b) => a.partNumber - b.partNumber);
+    };
+
+    const readCounter = async (key) => {
+        const counter = await readJson(getCounterPath(key)).catch(() => null);
+        return counter && counter.expiresAt > Date.now() ? counter : null;
+    };
+
+    // Run `change()` on a counter once the changes to it already under way in this process are written
+    const changeCounter = async (key, change) => {
+        const pending = (counterWrites.get(key) || Promise.resolve())
+            .catch(() => {})
+            .then(change);
+        counterWrites.set(key, pending);
+
+        try {
+            return await pending;
+        } finally {
+            if (counterWrites.get(key) === pending) {
+                counterWrites.delete(key);
+            }
+        }
+    };
+
+    // Remove every file of `dir` whose JSON has an expiresAt in the past (or is unreadable)
+    const sweepExpiring = async (dir) => {
+        for (const name of await fs.promises.readdir(dir).catch(() => [])) {
+            const filePath = path.join(dir, name);
+            const entry = await readJson(filePath).catch(() => null);
+            if (!entry || entry.expiresAt <= Date.now()) {
+                await fs.promises.rm(filePath, { force: true });
+            }
+        }
+    };
+
+    // Remove sessions and cancellation flags nobody has touched within the TTL, and revoked tokens,
+    // counters and set members that have expired
+    const sweep = async () => {
+        if (Date.now() - lastSweep < SWEEP_INTERVAL) return;
+        lastSweep = Date.now();
+
+        try {
+            for (const name of await fs.promises.readdir(sessionsDir).catch(() => [])) {
+                const sessionDir = path.join(sessionsDir, name);
+                if (await isExpired(sessionDir)) {
+                    await fs.promises.rm(sessionDir, { recursive: true, force: true });
+                }
+            }
+
+            for (const name of await fs.promises.readdir(cancelledDir).catch(() => [])) {
+                const flagPath = path.join(cancelledDir, name);
+                if (Date.now() - await getMtime(flagPath) > ttl * 1000) {
+                    await fs.promises.rm(flagPath, { force: true });
+                }
+            }
+
+            await sweepExpiring(revokedDir);
+            await sweepExpiring(countersDir);
+            for (const name of await fs.promises.readdir(membersDir).catch(() => [])) {
+                await sweepExpiring(path.join(membersDir, name));
+            }
+        } catch (error) {
+            console.error('Error sweeping expired upload sessions:', error);
+        }
+    };
+
+    const getSession = async (fileId) => {
+        const sessionDir = getSessionDir(fileId);
+        const session = await readJson(path.join(sessionDir, 'session.json'));
+
+        if (!session) {
+            return null;
+        }
+        if (await isExpired(sessionDir)) {
+            await fs.promises.rm(sessionDir, { recursive: true, force: true });
+            return null;
+        }
+
+        return { ...session, parts: await readParts(sessionDir) };
+    };
+
+    const addPart = async (fileId, part) => {
+        const sessionDir = getSessionDir(fileId);
+        await writeJson(path.join(sessionDir, 'parts', `${part.partNumber}.json`), part);
+    };
+
+    return {
+        name: 'file',
+        getSession,
+        addPart,
+
+        saveSession: async (session) => {
+            const { parts = [], ...fields } = session;
+            const sessionDir = getSessionDir(session.fileId);
+
+            await fs.promises.rm(path.join(sessionDir, 'parts'), { recursive: true, force: true });
+            await writeJson(path.join(sessionDir, 'session.json'), fields);
+            await Promise.all(parts.map(part => addPart(session.fileId, part)));
+
+            await sweep();
+        },
+
+        updateSession: async (fileId, fields) => {
+            const sessionPath = path.join(getSessionDir(fileId), 'session.json');
+            const session = await readJson(sessionPath);
+
+            if (!session) {
+                throw new Error('Upload session not found');
+            }
+
+            const { parts, ...updates } = fields;
+            await writeJson(sessionPath, { ...session, ...updates });
+        },
+
+        deleteSession: async (fileId) => {
+            await fs.promises.rm(getSessionDir(fileId), { recursive: true, force: true });
+        },
+
+        markCancelled: async (fileId, fileKey, userId) => {
+            await writeJson(getCancelledPath(fileId), { fileKey: fileKey || null, userId: userId || null });
+        },
+
+        getCancelled: async (fileId) => {
+            const flagPath = getCancelledPath(fileId);
+            const flag = await readJson(flagPath);
+
+            if (flag && Date.now() - await getMtime(flagPath) > ttl * 1000) {
+                await fs.promises.rm(flagPath, { force: true });
+                return null;
+            }
+            return flag;
+        },
+
+        clearCancelled: async (fileId) => {
+            await fs.promises.rm(getCancelledPath(fileId), { force: true });
+        },
+
+        getContentEntry: async (contentHash) => readJson(getContentPath(contentHash)),
+
+        saveContentEntry: async (contentHash, entry) => {
+            await writeJson(getContentPath(contentHash), entry);
+        },
+
+        deleteContentEntry: async (contentHash) => {
+            await fs.promises.rm(getContentPath(contentHash), { force: true });
+        },
+
+        revokeToken: async (tokenId, expiresAt) => {
+            await writeJson(getRevokedPath(tokenId), { expiresAt });
+            await sweep();
+        },
+
+        isTokenRevoked: async (tokenId) => {
+            const revoked = await readJson(getRevokedPath(tokenId));
+            return Boolean(revoked && revoked.expiresAt > Date.now());
+        },
+
+        incrementCounter: async (key, ttl) => {
+            try {
+                return await changeCounter(key, async () => {
+                    const counter = await readCounter(key) || { count: 0, expiresAt: Date.now() + ttl };
+                    counter.count++;
+                    await writeJson(getCounterPath(key), counter);
+                    return counter;
+                });
+            } finally {
+                await sweep();
+            }
+        },
+
+        getCounter: (key) => readCounter(key),
+
+        decrementCounter: async (key) => {
+            await changeCounter(key, async () => {
+                const counter = await readCounter(key);
+                if (counter && counter.count > 0) {
+                    counter.count--;
+                    await writeJson(getCounterPath(key), counter);
+                }
+            });
+        },
+
+        deleteCounter: async (key) => {
+            await fs.promises.rm(getCounterPath(key), { force: true });
+        },
+
+        touchMember: async (key, member, ttl) => {
+            await writeJson(path.join(getMembersDir(key), `${getId(member)}.json`), { expiresAt: Date.now() + ttl });
+        },
+
+        removeMember: async (key, member) => {
+            await fs.promises.rm(path.join(getMembersDir(key), `${getId(member)}.json`), { force: true });
+        },
+
+        countMembers: async (key) => {
+            const dir = getMembersDir(key);
+            let count = 0;
+            for (const name of await fs.promises.readdir(dir).catch(() => [])) {
+                if (!name.endsWith('.json')) {
+                    continue;
+                }
+                const entry = await readJson(path.join(dir, name)).catch(() => null);
+                if (entry && entry.expiresAt > Date.now()) {
+                    count++;
+                }
+            }
+            return count;
+        }
+    };
+};
+
+export default createFileSessionStore;
@@ -0,0 +1,181 @@
+// In-memory upload session store
+//
+// Sessions are lost on restart and are not shared between instances; only suitable for a
+// single long-running process or for trying things out.
+export const createMemorySessionStore = ({ ttl }) => {
+    // fileId -> { fields, parts: Map(partNumber -> part), touchedAt }
+    const sessions = new Map();
+    // fileId -> { fileKey, touchedAt }
+    const cancelled = new Map();
+    // contentHash -> { fileKey, fileSize }, kept until deleted
+    const contentEntries = new Map();
+    // tokenId -> expiresAt
+    const revokedTokens = new Map();
+    // key -> { count, expiresAt }
+    const counters = new Map();
+    // key -> Map(member -> expiresAt)
+    const memberSets = new Map();
+
+    const isExpired = (entry) => Date.now() - entry.touchedAt > ttl * 1000;
+
+    const getCounter = (key) => {
+        const counter = counters.get(key);
+        if (counter && counter.expiresAt <= Date.now()) {
+            counters.delete(key);
+            return null;
+        }
+        return counter || null;
+    };
+
+    const getEntry = (fileId) => {
+        const entry = sessions.get(fileId);
+        if (entry && isExpired(entry)) {
+            sessions.delete(fileId);
+            return null;
+        }
+        return entry || null;
+    };
+
+    return {
+        name: 'memory',
+
+        getSession: async (fileId) => {
+            const entry = getEntry(fileId);
+            if (!entry) {
+                return null;
+            }
+
+            return {
+                ...entry.fields,
+                parts: Array.from(entry.parts.values()).sort((a, b) => a.partNumber - b.partNumber)
+            };
+        },
+
+        saveSession: async (session) => {
+            const { parts = [], ...fields } = session;
+            sessions.set(session.fileId, {
+                fields,
+                parts: new Map(parts.map(part => [part.partNumber, part])),
+                touchedAt: Date.now()
+            });
+        },
+
+        updateSession: async (fileId, fields) => {
+            const entry = getEntry(fileId);
+            if (!entry) {
+                throw new Error('Upload session not found');
+            }
+
+            const { parts, ...updates } = fields;
+            entry.fields = { ...entry.fields, ...updates };
+            entry.touchedAt = Date.now();
+        },
+
+        addPart: async (fileId, part) => {
+            const entry = getEntry(fileId);
+            if (!entry) {
+                throw new Error('Upload session not found');
+            }
+
+            entry.parts.set(part.partNumber, part);
+            entry.touchedAt = Date.now();
+        },
+
+        deleteSession: async (fileId) => {
+            sessions.delete(fileId);
+        },
+
+        markCancelled: async (fileId, fileKey, userId) => {
+            cancelled.set(fileId, { fileKey: fileKey || null, userId: userId || null, touchedAt: Date.now() });
+        },
+
+        getCancelled: async (fileId) => {
+            const entry = cancelled.get(fileId);
+            if (!entry || isExpired(entry)) {
+                cancelled.delete(fileId);
+                return null;
+            }
+            return { fileKey: entry.fileKey, userId: entry.userId };
+        },
+
+        clearCancelled: async (fileId) => {
+            cancelled.delete(fileId);
+        },
+
+        getContentEntry: async (contentHash) => contentEntries.get(contentHash) || null,
+
+        saveContentEntry: async (contentHash, entry) => {
+            contentEntries.set(contentHash, entry);
+        },
+
+        deleteContentEntry: async (contentHash) => {
+            contentEntries.delete(contentHash);
+        },
+
+        revokeToken: async (tokenId, expiresAt) => {
+            revokedTokens.set(tokenId, expiresAt);
+        },
+
+        isTokenRevoked: async (tokenId) => {
+            const expiresAt = revokedTokens.get(tokenId);
+            if (expiresAt && expiresAt <= Date.now()) {
+                revokedTokens.delete(tokenId);
+                return false;
+            }
+            return Boolean(expiresAt);
+        },
+
+        incrementCounter: async (key, ttl) => {
+            const counter = getCounter(key) || { count: 0, expiresAt: Date.now() + ttl };
+            counter.count++;
+            counters.set(key, counter);
+            return { ...counter };
+        },
+
+        getCounter: async (key) => {
+            const counter = getCounter(key);
+            return counter ? { ...counter } : null;
+        },
+
+        decrementCounter: async (key) => {
+            const counter = getCounter(key);
+            if (counter && counter.count > 0) {
+                counter.count--;
+            }
+        },
+
+        deleteCounter: async (key) => {
+            counters.delete(key);
+        },
+
+        touchMember: async (key, member, ttl) => {
+            if (!memberSets.has(key)) {
+                memberSets.set(key, new Map());
+            }
+            memberSets.get(key).set(member, Date.now() + ttl);
+        },
+
+        removeMember: async (key, member) => {
+            memberSets.get(key)?.delete(member);
+        },
+
+        countMembers: async (key) => {
+            const members = memberSets.get(key);
+            if (!members) {
+                return 0;
+            }
+
+            for (const [member, expiresAt] of members) {
+                if (expiresAt <= Date.now()) {
+                    members.delete(member);
+                }
+            }
+            if (members.size === 0) {
+                memberSets.delete(key);
+            }
+            return members.size;
+        }
+    };
+};
+
+export default createMemorySessionStore;
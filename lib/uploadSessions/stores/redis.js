@@ -0,0 +1,197 @@
+// Redis-backed upload session store, for replicas that share nothing but a Redis-protocol server
+//
+// Keys (prefix from UPLOAD_SESSION_REDIS_PREFIX):
+//   <prefix>session:<fileId>     session fields as JSON
+//   <prefix>parts:<fileId>       hash of partNumber -> part JSON, so concurrent parts never overwrite each other
+//   <prefix>cancelled:<fileId>   { fileKey, userId } of a cancelled upload
+//   <prefix>content:<hash>       { fileKey, fileSize } stored under a content hash, without a TTL
+//   <prefix>revoked:<tokenId>    a revoked session token, expiring with the token
+//   <prefix>counter:<key>        a rate limit counter, expiring at the end of its window
+//   <prefix>members:<key>        sorted set of members scored by the time (ms) they expire
+//
+// Every write refreshes the TTL of the session keys it touches.
+import { getRedisClient } from '../../redis';
+
+// Take one off a counter that still exists and is above zero, keeping its TTL (DECR alone would
+// create a missing counter without one)
+const DECREMENT_SCRIPT = `
+local count = tonumber(redis.call('GET', KEYS[1]) or '0')
+if count > 0 then
+    return redis.call('DECR', KEYS[1])
+end
+return count
+`;
+
+export const createRedisSessionStore = ({ ttl }) => {
+    const prefix = process.env.UPLOAD_SESSION_REDIS_PREFIX || 'cloudflux:upload:';
+
+    const sessionKey = (fileId) => `${prefix}session:${fileId}`;
+    const partsKey = (fileId) => `${prefix}parts:${fileId}`;
+    const cancelledKey = (fileId) => `${prefix}cancelled:${fileId}`;
+    const contentKey = (contentHash) => `${prefix}content:${contentHash}`;
+    const revokedKey = (tokenId) => `${prefix}revoked:${tokenId}`;
+    const counterKey = (key) => `${prefix}counter:${key}`;
+    const membersKey = (key) => `${prefix}members:${key}`;
+
+    // Run a MULTI transaction and fail on the first command error
+    const exec = async (transaction) => {
+        const results = await transaction.exec();
+        const failed = results.find(([error]) => error);
+        if (failed) {
+            throw failed[0];
+        }
+        return results.map(([, result]) => result);
+    };
+
+    const serializeParts = (parts) => parts.flatMap(part => [part.partNumber, JSON.stringify(part)]);
+
+    return {
+        name: 'redis',
+
+        getSession: async (fileId) => {
+            const [fields, parts] = await exec(getRedisClient()
+                .multi()
+                .get(sessionKey(fileId))
+                .hvals(partsKey(fileId)));
+
+            if (!fields) {
+                return null;
+            }
+
+            return {
+                ...JSON.parse(fields),
+                parts: parts.map(part => JSON.parse(part)).sort((a, b) => a.partNumber - b.partNumber)
+            };
+        },
+
+        saveSession: async (session) => {
+            const { parts = [], ...fields } = session;
+            const transaction = getRedisClient()
+                .multi()
+                .set(sessionKey(session.fileId), JSON.stringify(fields), 'EX', ttl)
+                .del(partsKey(session.fileId));
+
+            if (parts.length > 0) {
+                transaction
+                    .hset(partsKey(session.fileId), ...serializeParts(parts))
+                    .expire(partsKey(session.fileId), ttl);
+            }
+
+            await exec(transaction);
+        },
+
+        updateSession: async (fileId, fields) => {
+            const client = getRedisClient();
+            const current = await client.get(sessionKey(fileId));
+
+            if (!current) {
+                throw new Error('Upload session not found');
+            }
+
+            const { parts, ...updates } = fields;
+            await exec(client
+                .multi()
+                .set(sessionKey(fileId), JSON.stringify({ ...JSON.parse(current), ...updates }), 'EX', ttl)
+                .expire(partsKey(fileId), ttl));
+        },
+
+        addPart: async (fileId, part) => {
+            await exec(getRedisClient()
+                .multi()
+                .hset(partsKey(fileId), ...serializeParts([part]))
+                .expire(partsKey(fileId), ttl)
+                .expire(sessionKey(fileId), ttl));
+        },
+
+        deleteSession: async (fileId) => {
+            await getRedisClient().del(sessionKey(fileId), partsKey(fileId));
+        },
+
+        markCancelled: async (fileId, fileKey, userId) => {
+            await getRedisClient().set(cancelledKey(fileId), JSON.stringify({ fileKey: fileKey || null, userId: userId || null }), 'EX', ttl);
+        },
+
+        getCancelled: async (fileId) => {
+            const flag = await getRedisClient().get(cancelledKey(fileId));
+            return flag ? JSON.parse(flag) : null;
+        },
+
+        clearCancelled: async (fileId) => {
+            await getRedisClient().del(cancelledKey(fileId));
+        },
+
+        getContentEntry: async (contentHash) => {
+            const entry = await getRedisClient().get(contentKey(contentHash));
+            return entry ? JSON.parse(entry) : null;
+        },
+
+        saveContentEntry: async (contentHash, entry) => {
+            await getRedisClient().set(contentKey(contentHash), JSON.stringify(entry));
+        },
+
+        deleteContentEntry: async (contentHash) => {
+            await getRedisClient().del(contentKey(contentHash));
+        },
+
+        revokeToken: async (tokenId, expiresAt) => {
+            const remaining = expiresAt - Date.now();
+            if (remaining > 0) {
+                await getRedisClient().set(revokedKey(tokenId), '1', 'PX', remaining);
+            }
+        },
+
+        isTokenRevoked: async (tokenId) => {
+            return (await getRedisClient().exists(revokedKey(tokenId))) === 1;
+        },
+
+        incrementCounter: async (key, ttl) => {
+            // The window starts with the first increment; INCR keeps the TTL SET gave it
+            const [, count, remaining] = await exec(getRedisClient()
+                .multi()
+                .set(counterKey(key), 0, 'PX', ttl, 'NX')
+                .incr(counterKey(key))
+                .pttl(counterKey(key)));
+            return { count, expiresAt: Date.now() + Math.max(remaining, 0) };
+        },
+
+        getCounter: async (key) => {
+            const [count, remaining] = await exec(getRedisClient()
+                .multi()
+                .get(counterKey(key))
+                .pttl(counterKey(key)));
+            if (count === null || remaining <= 0) {
+                return null;
+            }
+            return { count: parseInt(count, 10), expiresAt: Date.now() + remaining };
+        },
+
+        decrementCounter: async (key) => {
+            await getRedisClient().eval(DECREMENT_SCRIPT, 1, counterKey(key));
+        },
+
+        deleteCounter: async (key) => {
+            await getRedisClient().del(counterKey(key));
+        },
+
+        touchMember: async (key, member, ttl) => {
+            await exec(getRedisClient()
+                .multi()
+                .zadd(membersKey(key), Date.now() + ttl, member)
+                .pexpire(membersKey(key), ttl));
+        },
+
+        removeMember: async (key, member) => {
+            await getRedisClient().zrem(membersKey(key), member);
+        },
+
+        countMembers: async (key) => {
+            const [, count] = await exec(getRedisClient()
+                .multi()
+                .zremrangebyscore(membersKey(key), '-inf', Date.now())
+                .zcard(membersKey(key)));
+            return count;
+        }
+    };
+};
+
+export default createRedisSessionStore;
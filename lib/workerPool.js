@@ -0,0 +1,100 @@
+// Browser-side pool of Web Workers running jobs one at a time each. Jobs wait in order for a free
+// worker; workers are started on demand up to the pool size and kept for later jobs.
+//
+// Messages to a worker carry an `id`; the worker answers with { id, progress } any number of
+// times, then { id, result } or { id, error }.
+
+export const createWorkerPool = ({ createWorker, size }) => {
+  // Every worker started, and those waiting for a job
+  const workers = new Set();
+  const idle = [];
+  // Jobs waiting for a worker, in order, and the job each busy worker runs
+  const queue = [];
+  const running = new Map();
+  let nextId = 1;
+
+  const pump = () => {
+    while (queue.length > 0) {
+      let worker = idle.pop();
+      if (!worker) {
+        if (workers.size >= size) {
+          return;
+        }
+        worker = createWorker();
+        workers.add(worker);
+      }
+      runJob(worker, queue.shift());
+    }
+  };
+
+  const runJob = (worker, job) => {
+    const id = nextId++;
+
+    const finish = () => {
+      worker.onmessage = null;
+      worker.onerror = null;
+      running.delete(worker);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.id !== id) {
+        return;
+      }
+      if ('progress' in data) {
+        if (typeof job.onProgress === 'function') {
+          job.onProgress(data.progress);
+        }
+        return;
+      }
+
+      finish();
+      idle.push(worker);
+      if (data.error) {
+        job.reject(new Error(data.error));
+      } else {
+        job.resolve(data.result);
+      }
+      pump();
+    };
+
+    // A worker that failed outside a job's own error handling is replaced by a new one
+    worker.onerror = (event) => {
+      finish();
+      worker.terminate();
+      workers.delete(worker);
+      job.reject(new Error(event.message || 'Worker failed'));
+      pump();
+    };
+
+    running.set(worker, job);
+    worker.postMessage({ ...job.message, id }, job.transfer);
+    if (typeof job.onStart === 'function') {
+      job.onStart();
+    }
+  };
+
+  return {
+    // Run a job on the next free worker; resolves the worker's result. `onStart()` is called once a
+    // worker takes the job.
+    run: (message, { transfer = [], onProgress = null, onStart = null } = {}) => new Promise((resolve, reject) => {
+      queue.push({ message, transfer, onProgress, onStart, resolve, reject });
+      pump();
+    }),
+
+    // Stop every worker, failing the jobs still running or waiting
+    terminate: () => {
+      const error = new Error('Worker pool was terminated');
+      running.forEach(job => job.reject(error));
+      queue.splice(0).forEach(job => job.reject(error));
+
+      workers.forEach(worker => worker.terminate());
+      workers.clear();
+      running.clear();
+      idle.length = 0;
+    }
+  };
+};
+
+export default {
+  createWorkerPool
+};
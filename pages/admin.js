@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import UserManagement from '../components/UserManagement';
+import { sessionManager } from '../lib/db';
+
+const AdminPage = () => {
+  const [user, setUser] = useState(null);
+  const router = useRouter();
+
+  // Only admins manage users; everyone else goes back to the uploader or the sign-in form
+  useEffect(() => {
+    const checkAuth = async () => {
+      const session = await sessionManager.getSession();
+
+      if (!session) {
+        router.push('/');
+      } else if (session.user.role !== 'admin') {
+        router.push('/uploader');
+      } else {
+        setUser(session.user);
+      }
+    };
+
+    checkAuth();
+  }, [router]);
+
+  if (!user) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gradient-to-b from-secondary to-white dark:from-gray-800 dark:to-gray-900">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>CloudFlux - Users</title>
+        <meta name="description" content="Manage CloudFlux users" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+        <header className="bg-white dark:bg-gray-800 shadow">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center justify-between">
+            <h1 className="text-xl font-bold text-primary dark:text-primary-light">
+              Users
+            </h1>
+            <Link
+              href="/uploader"
+              className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300"
+            >
+              Back to uploader
+            </Link>
+          </div>
+        </header>
+
+        <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <UserManagement currentUser={user} />
+        </main>
+      </div>
+    </>
+  );
+};
+
+export default AdminPage;
@@ -1,65 +1,77 @@
-import crypto from 'crypto';
+import { startSession, getRequestSession, endSession } from '../../lib/auth';
+import { authenticateUser, toPublicUser } from '../../lib/auth/users';
+import { isOidcEnabled, getOidcConfig } from '../../lib/auth/oidc';
+import { startLoginAttempt, recordLoginFailure, recordLoginSuccess, sendRateLimited } from '../../lib/rateLimit';
 
-// Simple authentication function to verify the secret key
-const verifySecretKey = (providedKey, actualKey) => {
-  // Compare both keys in a timing-safe manner to prevent timing attacks
-  return crypto.timingSafeEqual(
-    Buffer.from(providedKey),
-    Buffer.from(actualKey)
-  );
-};
+// Password sign-in can be turned off when everyone signs in through single sign-on
+const isPasswordLoginEnabled = () => process.env.APP_PASSWORD_LOGIN !== 'false';
 
-// Generate a token with expiry date for session
-const generateToken = () => {
-  // Generate a random token
-  const randomBytes = crypto.randomBytes(32);
-  const token = randomBytes.toString('hex');
-  
-  return token;
-};
-
-export default function handler(req, res) {
-  // Only allow POST method
-  if (req.method !== 'POST') {
-    return res.status(405).json({ message: 'Method not allowed' });
-  }
-  
+// GET reports the signed-in user and the available ways to sign in, POST signs in with a username and password and sets the session
+// cookie, DELETE signs out and revokes it
+export default async function handler(req, res) {
   try {
-    const { secretKey } = req.body;
-    
-    if (!secretKey) {
-      return res.status(400).json({ message: 'Secret key is required' });
+    if (req.method === 'GET') {
+      const result = await getRequestSession(req);
+
+      return res.status(200).json({
+        authenticated: Boolean(result),
+        user: result ? result.user : null,
+        expiresAt: result ? new Date(result.session.exp * 1000).toISOString() : null,
+        signIn: {
+          password: isPasswordLoginEnabled(),
+          sso: isOidcEnabled() ? { label: getOidcConfig().label, url: '/api/oidc/login' } : null
+        }
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      await endSession(req, res);
+      return res.status(200).json({ message: 'Signed out' });
     }
-    
-    // Get the expected secret key from environment variable
-    const expectedKey = process.env.APP_SECRET_KEY;
-    
-    if (!expectedKey) {
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    if (!isPasswordLoginEnabled()) {
+      return res.status(403).json({ message: 'Password sign-in is disabled' });
+    }
+
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ message: 'Username and password are required' });
+    }
+
+    // Session tokens are signed with a key derived from the secret key
+    if (!process.env.APP_SECRET_KEY) {
       return res.status(500).json({ message: 'Server configuration error' });
     }
-    
-    // Check if the provided key matches the expected one
-    try {
-      const isValid = secretKey === expectedKey; // Simplified for demonstration
-      
-      if (!isValid) {
-        return res.status(401).json({ message: 'Invalid secret key' });
-      }
-      
-      // Generate a token for the session
-      const token = generateToken();
-      
-      // Return success with the token
-      return res.status(200).json({ 
-        message: 'Authentication successful',
-        token
-      });
-    } catch (error) {
-      console.error('Verification error:', error);
-      return res.status(500).json({ message: 'Error during verification' });
+
+    // Clients and accounts with too many failed attempts are turned away before the password is checked
+    await startLoginAttempt(req, username);
+
+    const user = await authenticateUser(username, password);
+
+    if (!user) {
+      await recordLoginFailure(username);
+      return res.status(401).json({ message: 'Invalid username or password' });
     }
+    await recordLoginSuccess(req, username);
+
+    // The token only travels in the HttpOnly cookie, never in the response body
+    const session = startSession(res, user);
+
+    return res.status(200).json({
+      message: 'Authentication successful',
+      user: toPublicUser(user),
+      expiresAt: new Date(session.exp * 1000).toISOString()
+    });
   } catch (error) {
+    if (error.statusCode === 429) {
+      return sendRateLimited(res, error);
+    }
     console.error('Auth error:', error);
     return res.status(500).json({ message: 'Internal server error' });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,86 @@
+// pages/api/files/[...key].js
+// Serves objects stored by providers that keep files on this server (the 'local' provider), and
+// deletes stored objects from any provider
+import { getProvider } from '../../../lib/storage';
+import { withAuth } from '../../../lib/auth';
+import { UPLOAD_ROLES } from '../../../lib/auth/users';
+import { canDeleteObject } from '../../../lib/storage/metadata';
+
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
+
+// Uploaders may delete the files they uploaded, admins any file
+const deleteStoredFile = async (req, res, fileKey) => {
+  if (!UPLOAD_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Your role does not allow this' });
+  }
+
+  const provider = getProvider();
+  const file = await provider.headFile(fileKey);
+
+  if (!file) {
+    return res.status(404).json({ message: 'File not found' });
+  }
+  if (!canDeleteObject(file, req.user)) {
+    return res.status(403).json({ message: 'Only the uploader or an admin can delete this file' });
+  }
+
+  await provider.deleteFile(fileKey);
+  return res.status(200).json({ success: true });
+};
+
+async function handler(req, res) {
+  // Only allow GET, HEAD and DELETE methods
+  if (!['GET', 'HEAD', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    if (req.method === 'DELETE') {
+      return await deleteStoredFile(req, res, [].concat(req.query.key || []).join('/'));
+    }
+
+    const provider = getProvider();
+
+    if (typeof provider.createReadStream !== 'function') {
+      return res.status(404).json({ message: 'Files are not served by this storage provider' });
+    }
+
+    const fileKey = [].concat(req.query.key || []).join('/');
+    const file = await provider.headFile(fileKey);
+
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Length', file.size);
+    res.setHeader('Last-Modified', new Date(file.lastModified).toUTCString());
+
+    if (req.method === 'HEAD') {
+      return res.status(200).end();
+    }
+
+    const stream = provider.createReadStream(fileKey);
+    stream.on('error', (error) => {
+      console.error('Error streaming file:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('File serve error:', error);
+
+    if (error.message === 'Invalid file key') {
+      return res.status(400).json({ message: 'Invalid file key' });
+    }
+
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+export default withAuth(handler, {
+  scope: (req) => req.method === 'DELETE' ? 'delete' : 'list'
+});
@@ -0,0 +1,28 @@
+// pages/api/files/index.js
+// Lists stored files, for every signed-in role
+import { listRecentFiles } from '../../../lib/cloudStorage';
+import { withAuth } from '../../../lib/auth';
+
+// Largest page of files returned at once
+const MAX_FILES = 100;
+
+async function handler(req, res) {
+  // Only allow GET method
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const maxItems = Math.min(parseInt(req.query.limit, 10) || 20, MAX_FILES);
+  const result = await listRecentFiles(maxItems);
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      error: result.error || 'Failed to list files'
+    });
+  }
+
+  return res.status(200).json({ success: true, files: result.files });
+}
+
+export default withAuth(handler, { scope: 'list' });
@@ -0,0 +1,25 @@
+// pages/api/keys/[id].js
+// Revokes one of the signed-in user's API keys; admins may revoke anyone's
+import { withAuth } from '../../../lib/auth';
+import { deleteApiKey } from '../../../lib/auth/apiKeys';
+
+async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    await deleteApiKey(req.user.id, req.query.id, { anyUser: req.user.role === 'admin' });
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('API key error:', error);
+    }
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Internal server error'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,34 @@
+// pages/api/keys/index.js
+// Lists and creates the signed-in user's API keys. Keys cannot manage keys: only the browser
+// session can.
+import { withAuth } from '../../../lib/auth';
+import { listApiKeys, createApiKey } from '../../../lib/auth/apiKeys';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const apiKeys = await listApiKeys(req.user.id);
+      return res.status(200).json({ success: true, apiKeys });
+    }
+
+    if (req.method === 'POST') {
+      const { name, scopes, expiresAt } = req.body;
+      const { apiKey, key } = await createApiKey(req.user.id, { name, scopes, expiresAt });
+
+      // The secret is only ever returned here
+      return res.status(201).json({ success: true, apiKey, key });
+    }
+
+    return res.status(405).json({ message: 'Method not allowed' });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('API key error:', error);
+    }
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Internal server error'
+    });
+  }
+}
+
+export default withAuth(handler);
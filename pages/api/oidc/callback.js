@@ -0,0 +1,37 @@
+// pages/api/oidc/callback.js
+// Where the identity provider sends the browser back: turns the sign-in into a CloudFlux session
+import { startSession } from '../../../lib/auth';
+import { isOidcEnabled, completeAuthorization, clearStateCookie } from '../../../lib/auth/oidc';
+import { findOrCreateOidcUser } from '../../../lib/auth/users';
+
+// Back to the sign-in form, which shows the message
+const redirectWithError = (res, message) => {
+  res.setHeader('Set-Cookie', clearStateCookie());
+  return res.redirect(302, `/?error=${encodeURIComponent(message)}`);
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ message: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const identity = await completeAuthorization(req);
+    const user = await findOrCreateOidcUser(identity);
+
+    if (user.disabled) {
+      return redirectWithError(res, 'Your account is disabled');
+    }
+
+    startSession(res, user);
+    res.appendHeader('Set-Cookie', clearStateCookie());
+    return res.redirect(302, '/uploader');
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    return redirectWithError(res, error.oidc ? error.message : 'Single sign-on failed');
+  }
+}
@@ -0,0 +1,22 @@
+// pages/api/oidc/login.js
+// Starts a single sign-on: redirects to the identity provider (see lib/auth/oidc.js)
+import { isOidcEnabled, createAuthorizationRequest } from '../../../lib/auth/oidc';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ message: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const { url, cookie } = await createAuthorizationRequest(req);
+    res.setHeader('Set-Cookie', cookie);
+    return res.redirect(302, url);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    return res.redirect(302, `/?error=${encodeURIComponent('The identity provider could not be reached')}`);
+  }
+}
@@ -1,76 +1,66 @@
 // pages/api/upload-chunk.js
+import { pipeline } from 'stream/promises';
 import {
-    S3Client,
-    UploadPartCommand,
-    CompleteMultipartUploadCommand,
-    CreateMultipartUploadCommand,
-    AbortMultipartUploadCommand,
-    DeleteObjectCommand
-} from '@aws-sdk/client-s3';
-import { Storage } from '@google-cloud/storage';
+    getProvider,
+    getProviderName,
+    generateFileKey,
+    chooseChunkSize,
+    supportsDirectUpload
+} from '../../lib/storage';
+import { getSessionStore } from '../../lib/uploadSessions';
+import { withAuth } from '../../lib/auth';
+import { UPLOAD_ROLES } from '../../lib/auth/users';
+import { createHttpError, isBinaryRequest, readJsonBody } from '../../lib/http';
+import { canDeleteObject } from '../../lib/storage/metadata';
+import { checkUploadRate, startActiveUpload, touchActiveUpload, endActiveUpload } from '../../lib/rateLimit';
+import {
+    CHECKSUM_ALGORITHM,
+    CONTENT_HASH_BLOCK_SIZE,
+    sha256Base64,
+    createChecksumStream,
+    createBlockHashStream,
+    hashBlocks,
+    getCompositeChecksum,
+    getContentHash,
+    isCompositeChecksum
+} from '../../lib/checksum';
 
 // Get environment variables
-const cloudProvider = process.env.NEXT_PUBLIC_CLOUD_PROVIDER || 'aws';
-const bucketName = cloudProvider === 'aws'
-    ? process.env.NEXT_PUBLIC_AWS_S3_BUCKET
-    : process.env.NEXT_PUBLIC_GCP_BUCKET_NAME;
-
-// Initialize the storage client based on provider
-const getStorageClient = () => {
-    if (cloudProvider === 'aws') {
-        return new S3Client({
-            region: process.env.NEXT_PUBLIC_AWS_REGION,
-            credentials: {
-                accessKeyId: process.env.NEXT_PUBLIC_AWS_ACCESS_KEY_ID,
-                secretAccessKey: process.env.NEXT_PUBLIC_AWS_SECRET_ACCESS_KEY
-            }
-        });
-    } else if (cloudProvider === 'gcp') {
-        return new Storage({
-            projectId: process.env.NEXT_PUBLIC_GCP_PROJECT_ID,
-            credentials: {
-                client_email: process.env.NEXT_PUBLIC_GCP_CLIENT_EMAIL,
-                private_key: process.env.NEXT_PUBLIC_GCP_PRIVATE_KEY.replace(/\\n/g, '\n')
-            }
-        });
-    } else {
-        throw new Error(`Unsupported cloud provider: ${cloudProvider}`);
-    }
-};
+const cloudProvider = getProviderName();
+
+// Direct uploads: the browser sends chunks straight to storage and this route only signs and finalizes
+const directUploadsEnabled = process.env.DIRECT_UPLOADS === 'true';
+const partUrlExpiry = parseInt(process.env.DIRECT_UPLOAD_URL_EXPIRY || '3600', 10);
+
+// Number of part URLs signed per request
+const PART_URL_BATCH_SIZE = 50;
 
-// Configure Next.js API route
+// Configure Next.js API route: bodies are read by the handler so binary chunks can be
+// streamed to the provider instead of being buffered
 export const config = {
     api: {
-        bodyParser: {
-            sizeLimit: '10mb', // Limit each chunk to 10MB
-        },
+        bodyParser: false,
     },
 };
 
-// Store multipart upload IDs and GCP write streams
-const multipartUploads = {};
-const gcpWriteStreams = {};
+// Limit JSON bodies (base64 chunks from older clients) to 10MB
+const JSON_BODY_LIMIT = 10 * 1024 * 1024;
+
+// Limit binary chunks to 1GB unless configured otherwise
+const maxChunkSize = parseInt(process.env.UPLOAD_MAX_CHUNK_SIZE || String(1024 * 1024 * 1024), 10);
+
+// Parts of sessions that append to one stream must be sent one at a time, in order
+const isOrdered = (session) => Boolean(session.ordered || session.direct?.strategy === 'resumable');
 
-// Store cancelled upload file IDs and their file keys
-const cancelledUploads = new Set();
-const fileKeyMap = new Map(); // Maps fileId to fileKey for cleanup purposes
+// Sessions (and cancellation flags) belong to the user who started them; admins may act on anyone's.
+// Those without an owner are refused.
+const canUseSession = (session, user) => Boolean(session.userId) && (session.userId === user.id || user.role === 'admin');
 
 // Helper function to delete a file from cloud storage
 const deleteFileFromCloud = async (fileKey) => {
     try {
-        if (cloudProvider === 'aws') {
-            const s3Client = getStorageClient();
-            await s3Client.send(new DeleteObjectCommand({
-                Bucket: bucketName,
-                Key: fileKey
-            }));
-            console.log(`Deleted file from AWS S3: ${fileKey}`);
-        } else if (cloudProvider === 'gcp') {
-            const storage = getStorageClient();
-            const bucket = storage.bucket(bucketName);
-            await bucket.file(fileKey).delete();
-            console.log(`Deleted file from GCP Storage: ${fileKey}`);
-        }
+        await getProvider().deleteFile(fileKey);
+        console.log(`Deleted file from ${cloudProvider} storage: ${fileKey}`);
         return true;
     } catch (error) {
         console.error(`Error deleting file ${fileKey} from cloud:`, error);
@@ -78,26 +68,43 @@ const deleteFileFromCloud = async (fileKey) => {
     }
 };
 
-export default async function handler(req, res) {
+async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({ message: 'Method not allowed' });
     }
 
     try {
+        // Turned away before a chunk body is read
+        await checkUploadRate(req.user);
+
+        // Binary chunks carry their fields in the query string, everything else is JSON
+        const isBinary = isBinaryRequest(req);
         const {
             action,
             fileId,
             fileName,
             fileType,
-            totalChunks,
+            fileSize,
+            chunkSize,
+            partConcurrency,
+            checksumAlgorithm,
+            checksum, // Base64 SHA-256 of a chunk (upload) or composite checksum of the file (complete)
+            contentHash, // Content hash of the whole file, for deduplication (see lib/contentHash.js)
             currentChunk,
-            chunkData, // Base64 encoded chunk
-            uploadId, // For AWS S3
+            partNumbers,
+            parts,
+            chunkData, // Base64 encoded chunk (JSON form)
             fileKey
-        } = req.body;
+        } = isBinary ? req.query : await readJsonBody(req, JSON_BODY_LIMIT);
+
+        const provider = getProvider();
 
-        // Check if this upload was previously cancelled
-        if (action !== 'abort' && cancelledUploads.has(fileId)) {
+        // Sessions and cancellation flags are shared with every other instance of this route
+        const sessionStore = getSessionStore();
+
+        // Check if this upload was previously cancelled; only its owner is told
+        const cancelled = action !== 'abort' ? await sessionStore.getCancelled(fileId) : null;
+        if (cancelled && canUseSession(cancelled, req.user)) {
             return res.status(409).json({
                 success: false,
                 error: 'Upload was cancelled',
@@ -105,278 +112,506 @@ export default async function handler(req, res) {
             });
         }
 
+        // Look for an object already stored with the same content, so the upload can be skipped
+        if (action === 'lookup') {
+            if (!isCompositeChecksum(contentHash)) {
+                throw createHttpError(400, 'Invalid content hash');
+            }
+
+            const entry = await sessionStore.getContentEntry(contentHash);
+            let stored = null;
+
+            if (entry && entry.fileSize === Number(fileSize)) {
+                stored = await provider.headFile(entry.fileKey);
+
+                // The object was deleted, or replaced by other content, since it was indexed
+                const contentChanged = stored?.metadata?.content_sha256 && stored.metadata.content_sha256 !== contentHash;
+                if (!stored || stored.size !== entry.fileSize || contentChanged) {
+                    await sessionStore.deleteContentEntry(contentHash);
+                    stored = null;
+                }
+            }
+
+            if (!stored) {
+                return res.status(200).json({ success: true, exists: false });
+            }
+
+            return res.status(200).json({
+                success: true,
+                exists: true,
+                key: entry.fileKey,
+                url: provider.getFileUrl(entry.fileKey),
+                // Whoever stored the object first, not the user asking
+                uploadedBy: stored.metadata?.uploaded_by || null
+            });
+        }
         // Initialize upload process
-        if (action === 'initialize') {
+        else if (action === 'initialize') {
+            // The id may belong to another user's upload, which is neither replaced nor taken over
+            const existing = await sessionStore.getSession(fileId);
+            if ((existing && existing.userId !== req.user.id) || (cancelled && cancelled.userId !== req.user.id)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Another upload uses this file id'
+                });
+            }
+
             // If this file was previously cancelled, remove it from cancelled list
-            cancelledUploads.delete(fileId);
+            await sessionStore.clearCancelled(fileId);
 
             const generatedFileKey = generateFileKey(fileName);
+            const direct = directUploadsEnabled && supportsDirectUpload(provider);
+
+            // A content hash is only indexed once this route recomputed it from the chunks it streams,
+            // which direct uploads never send through here
+            const hashContent = !direct && isCompositeChecksum(contentHash);
+
+            // The client's preferred chunk size, adjusted to the provider's part limits. Chunks sent
+            // through this route must also stay under its own limit, and hold whole content hash blocks.
+            const sessionChunkSize = chooseChunkSize(provider, fileSize, {
+                preferredSize: parseInt(chunkSize, 10) || undefined,
+                maxPartSize: direct ? Infinity : maxChunkSize,
+                partSizeMultiple: hashContent ? CONTENT_HASH_BLOCK_SIZE : 1
+            });
+            if (!sessionChunkSize) {
+                throw createHttpError(413, `File is too large for ${cloudProvider} storage`);
+            }
 
-            // Store the file key mapping for potential cleanup later
-            fileKeyMap.set(fileId, generatedFileKey);
+            // Users may only have so many uploads going at once
+            await startActiveUpload(req.user.id, fileId);
+
+            const session = {
+                fileId,
+                fileKey: generatedFileKey,
+                fileType,
+                fileSize,
+                chunkSize: sessionChunkSize,
+                parts: [],
+                // Recorded in the object's metadata
+                userId: req.user.id,
+                uploadedBy: req.user.username
+            };
+
+            // Chunks proxied through this route are verified against the checksums the client sends
+            if (!direct && checksumAlgorithm === CHECKSUM_ALGORITHM) {
+                session.checksumAlgorithm = CHECKSUM_ALGORITHM;
+            }
 
-            if (cloudProvider === 'aws') {
-                const s3Client = getStorageClient();
-                const command = new CreateMultipartUploadCommand({
-                    Bucket: bucketName,
-                    Key: generatedFileKey,
-                    ContentType: fileType
-                });
-                const response = await s3Client.send(command);
-                multipartUploads[fileId] = {
-                    uploadId: response.UploadId,
-                    parts: [],
-                    fileKey: generatedFileKey
-                };
-                return res.status(200).json({
-                    success: true,
-                    uploadId: response.UploadId,
-                    fileKey: generatedFileKey
-                });
-            } else if (cloudProvider === 'gcp') {
-                const storage = getStorageClient();
-                const bucket = storage.bucket(bucketName);
-                const file = bucket.file(generatedFileKey);
-                const writeStream = file.createWriteStream({
-                    resumable: true,
-                    metadata: {
-                        contentType: fileType
-                    }
+            // Checked against the chunks' block digests on completion, then stored with the object and
+            // indexed, so identical files can be skipped later
+            if (hashContent) {
+                session.contentHash = contentHash;
+            }
+
+            // How many parts the client sends at once, so providers can pick a strategy that allows it
+            const uploadOptions = { partConcurrency: parseInt(partConcurrency, 10) || 1 };
+
+            // The slot taken above goes back when storage refuses the upload
+            try {
+                if (direct) {
+                    Object.assign(session, await provider.createDirectUpload(session, {
+                        ...uploadOptions,
+                        fileSize,
+                        origin: req.headers.origin
+                    }));
+                } else {
+                    Object.assign(session, await provider.initializeUpload(session, uploadOptions));
+                }
+                await sessionStore.saveSession(session);
+            } catch (initializeError) {
+                await endActiveUpload(req.user.id, fileId);
+                throw initializeError;
+            }
+
+            // Sign the first batch of part URLs up front
+            let partUrls;
+            if (session.direct?.strategy === 'parts') {
+                const count = Math.min(Math.ceil(fileSize / sessionChunkSize) || 1, PART_URL_BATCH_SIZE);
+                partUrls = await provider.signPartUrls(
+                    session,
+                    Array.from({ length: count }, (_, i) => i + 1),
+                    partUrlExpiry
+                );
+            }
+
+            return res.status(200).json({
+                success: true,
+                uploadId: session.uploadId,
+                fileKey: generatedFileKey,
+                direct: session.direct,
+                ordered: isOrdered(session),
+                chunkSize: sessionChunkSize,
+                checksumAlgorithm: session.checksumAlgorithm || null,
+                partUrls
+            });
+        }
+        // Resume an interrupted upload: report which parts storage already holds
+        else if (action === 'resume') {
+            const session = await sessionStore.getSession(fileId);
+            if (!session || !canUseSession(session, req.user)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Upload session not found'
                 });
-                // Store the write stream for this file ID
-                gcpWriteStreams[fileId] = {
-                    writeStream,
-                    fileKey: generatedFileKey
-                };
-                return res.status(200).json({
-                    success: true,
-                    fileKey: generatedFileKey
+            }
+            await touchActiveUpload(session.userId || req.user.id, fileId);
+
+            // Storage is the source of truth; without listParts (or when an S3-compatible server
+            // does not implement it) the parts this route recorded are used
+            if (typeof provider.listParts === 'function') {
+                try {
+                    // Keep the checksums, block digests and CRC32Cs recorded with the parts, which
+                    // storage does not report (or only the checksum)
+                    const recorded = new Map(session.parts.map(part => [part.partNumber, part]));
+                    session.parts = (await provider.listParts(session)).map(part => {
+                        const known = recorded.get(part.partNumber);
+                        if (!known || known.size !== part.size) {
+                            return part;
+                        }
+                        return {
+                            ...part,
+                            checksum: part.checksum || known.checksum || null,
+                            ...(known.blockHashes && { blockHashes: known.blockHashes }),
+                            ...(known.crc32c && { crc32c: known.crc32c })
+                        };
+                    });
+                    await sessionStore.saveSession(session);
+                } catch (listError) {
+                    console.error(`Error listing ${cloudProvider} parts, using recorded parts:`, listError);
+                }
+            }
+
+            // Resumable sessions may hold part of the next chunk too
+            const offset = session.direct?.strategy === 'resumable' && typeof provider.getUploadOffset === 'function'
+                ? await provider.getUploadOffset(session)
+                : undefined;
+
+            return res.status(200).json({
+                success: true,
+                uploadId: session.uploadId,
+                fileKey: session.fileKey,
+                direct: session.direct,
+                ordered: isOrdered(session),
+                chunkSize: session.chunkSize,
+                checksumAlgorithm: session.checksumAlgorithm || null,
+                parts: session.parts,
+                offset
+            });
+        }
+        // Sign more part URLs for a direct upload
+        else if (action === 'sign') {
+            const session = await sessionStore.getSession(fileId);
+            if (!session || !canUseSession(session, req.user) || session.direct?.strategy !== 'parts') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Upload session not found'
                 });
             }
+            await touchActiveUpload(session.userId || req.user.id, fileId);
+
+            const requested = (partNumbers || [])
+                .map(partNumber => parseInt(partNumber, 10))
+                .filter(partNumber => partNumber >= 1)
+                .slice(0, PART_URL_BATCH_SIZE);
+
+            return res.status(200).json({
+                success: true,
+                partUrls: await provider.signPartUrls(session, requested, partUrlExpiry)
+            });
         }
         // Check upload status
         else if (action === 'status') {
-            const isCancelled = cancelledUploads.has(fileId);
+            const session = await sessionStore.getSession(fileId);
+            if (!session || !canUseSession(session, req.user)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Upload session not found'
+                });
+            }
+
+            // The caller's own cancelled uploads were answered above
             return res.status(200).json({
                 success: true,
-                cancelled: isCancelled
+                cancelled: false
             });
         }
         // Upload a chunk
         else if (action === 'upload') {
-            const buffer = Buffer.from(chunkData, 'base64');
+            const session = await sessionStore.getSession(fileId);
+            if (!session || !canUseSession(session, req.user)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Upload session not found'
+                });
+            }
+            await touchActiveUpload(session.userId || req.user.id, fileId);
 
-            if (cloudProvider === 'aws') {
-                if (!multipartUploads[fileId]) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Upload session not found'
-                    });
+            let body;
+            let contentLength;
+
+            if (isBinary) {
+                // Stream the raw request body straight to the provider
+                contentLength = parseInt(req.headers['content-length'], 10);
+                if (Number.isNaN(contentLength)) {
+                    throw createHttpError(411, 'Content-Length is required for binary chunks');
                 }
+                if (contentLength > maxChunkSize) {
+                    throw createHttpError(413, 'Chunk too large');
+                }
+                body = req;
+            } else {
+                body = Buffer.from(chunkData, 'base64');
+                contentLength = body.length;
+            }
 
-                const s3Client = getStorageClient();
-                const partNumber = parseInt(currentChunk) + 1; // S3 parts start from 1
-                const command = new UploadPartCommand({
-                    Bucket: bucketName,
-                    Key: fileKey,
-                    PartNumber: partNumber,
-                    UploadId: uploadId,
-                    Body: buffer
-                });
-                const response = await s3Client.send(command);
+            const partNumber = parseInt(currentChunk, 10) + 1; // Parts start from 1
 
-                // Store the ETag for this part
-                multipartUploads[fileId].parts.push({
-                    PartNumber: partNumber,
-                    ETag: response.ETag
-                });
+            if (!checksum && session.checksumAlgorithm) {
+                throw createHttpError(400, 'Chunk checksum is required');
+            }
 
-                return res.status(200).json({
-                    success: true,
-                    partNumber,
-                    partsReceived: multipartUploads[fileId].parts.length
-                });
-            } else if (cloudProvider === 'gcp') {
-                if (!gcpWriteStreams[fileId]) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Upload session not found'
-                    });
+            // A mismatching part is not recorded, so the client's retry replaces it. Sessions that
+            // append to one stream cannot take bytes back: they are aborted and the upload starts over.
+            const rejectChunk = async () => {
+                if (isOrdered(session)) {
+                    try {
+                        await provider.abortUpload(session);
+                    } catch (abortError) {
+                        console.error(`Error aborting ${cloudProvider} upload after a checksum mismatch:`, abortError);
+                    }
+                    await sessionStore.deleteSession(fileId);
+                    await endActiveUpload(session.userId || req.user.id, fileId);
                 }
 
-                // Write the chunk to the GCP stream
-                await new Promise((resolve, reject) => {
-                    gcpWriteStreams[fileId].writeStream.write(buffer, err => {
-                        if (err) return reject(err);
-                        resolve();
-                    });
+                return res.status(422).json({
+                    success: false,
+                    error: `Checksum mismatch in part ${partNumber}`,
+                    checksumMismatch: true
                 });
+            };
+
+            // Buffered chunks are checked before they are stored, streamed ones while they stream
+            let checksumStream = null;
+            if (checksum) {
+                if (Buffer.isBuffer(body)) {
+                    if (sha256Base64(body) !== checksum) {
+                        return rejectChunk();
+                    }
+                } else {
+                    checksumStream = createChecksumStream(checksum);
+                    pipeline(body, checksumStream).catch(error => checksumStream.destroy(error));
+                    body = checksumStream;
+                }
+            }
 
-                return res.status(200).json({
-                    success: true,
-                    chunkReceived: currentChunk,
-                });
+            // The blocks of the content hash the session was started with are hashed on the way too
+            let blockHashes = null;
+            let blockHashStream = null;
+            if (session.contentHash) {
+                if (Buffer.isBuffer(body)) {
+                    blockHashes = hashBlocks(body);
+                } else {
+                    blockHashStream = createBlockHashStream();
+                    pipeline(body, blockHashStream).catch(error => blockHashStream.destroy(error));
+                    body = blockHashStream;
+                }
             }
-        }
-        // Complete upload
-        else if (action === 'complete') {
-            if (cloudProvider === 'aws') {
-                if (!multipartUploads[fileId]) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Upload session not found'
-                    });
+
+            let part;
+            try {
+                part = await provider.uploadPart(session, { partNumber, body, contentLength, checksum });
+            } catch (uploadError) {
+                // The checksum stream fails the part before it is stored, and storage that
+                // verifies checksums itself (S3) rejects it
+                if (uploadError.checksumMismatch) {
+                    return rejectChunk();
                 }
+                throw uploadError;
+            }
 
-                const s3Client = getStorageClient();
-                const { parts, fileKey, uploadId } = multipartUploads[fileId];
+            // A provider that stopped reading early never let the stream check the whole chunk
+            if (checksumStream && checksumStream.digest() !== checksum) {
+                return rejectChunk();
+            }
 
-                // Order parts by part number
-                parts.sort((a, b) => a.PartNumber - b.PartNumber);
+            // Store the ETag, size, checksum and block digests of this part
+            if (blockHashStream) {
+                blockHashes = blockHashStream.digests();
+            }
+            await sessionStore.addPart(fileId, {
+                ...part,
+                size: contentLength,
+                checksum: checksum || null,
+                ...(blockHashes && { blockHashes })
+            });
+            const partsReceived = session.parts.filter(p => p.partNumber !== partNumber).length + 1;
 
-                const command = new CompleteMultipartUploadCommand({
-                    Bucket: bucketName,
-                    Key: fileKey,
-                    UploadId: uploadId,
-                    MultipartUpload: { Parts: parts }
+            return res.status(200).json({
+                success: true,
+                partNumber,
+                partsReceived,
+                chunkReceived: currentChunk
+            });
+        }
+        // Complete upload
+        else if (action === 'complete') {
+            const session = await sessionStore.getSession(fileId);
+            if (!session || !canUseSession(session, req.user)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Upload session not found'
                 });
+            }
 
-                await s3Client.send(command);
-
-                // Clean up
-                delete multipartUploads[fileId];
-                fileKeyMap.delete(fileId); // No longer need this for cleanup
-
-                const fileUrl = getFileUrl(fileKey);
-                return res.status(200).json({
-                    success: true,
-                    key: fileKey,
-                    url: fileUrl
-                });
-            } else if (cloudProvider === 'gcp') {
-                if (!gcpWriteStreams[fileId]) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Upload session not found'
+            // Parts of a direct upload never passed through here: use the ETags the browser read
+            // from storage's responses, or ask storage when they were not exposed to it. The CRC32C
+            // the browser computed for each part of a GCS resumable session is kept, for the
+            // provider to check the object against.
+            if (session.direct) {
+                const reportedParts = (parts || []).map(part => ({
+                    partNumber: parseInt(part.partNumber, 10),
+                    etag: part.etag || null,
+                    ...(typeof part.crc32c === 'string' && { crc32c: part.crc32c })
+                }));
+
+                if (reportedParts.length > 0 && reportedParts.every(part => part.etag)) {
+                    session.parts = reportedParts;
+                } else if (typeof provider.listParts === 'function') {
+                    const reported = new Map(reportedParts.map(part => [part.partNumber, part]));
+                    session.parts = (await provider.listParts(session)).map(part => {
+                        const crc32c = reported.get(part.partNumber)?.crc32c;
+                        return crc32c ? { ...part, crc32c } : part;
                     });
                 }
+            }
 
-                // End the write stream
-                await new Promise((resolve, reject) => {
-                    gcpWriteStreams[fileId].writeStream.end(err => {
-                        if (err) reject(err);
-                        else resolve();
-                    });
+            // Every part proxied through here was verified on arrival, so their composite checksum
+            // covers the whole file. It must match the one the client computed, and is stored with
+            // the object.
+            const fileChecksum = session.direct ? null : getCompositeChecksum(session.parts);
+            if (checksum && fileChecksum && checksum !== fileChecksum) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'File checksum mismatch',
+                    checksumMismatch: true
                 });
+            }
+            session.checksum = fileChecksum;
 
-                const fileKey = gcpWriteStreams[fileId].fileKey;
-                const fileUrl = getFileUrl(fileKey);
+            // Content that does not hash as the client claimed is stored, but neither recorded nor
+            // indexed for deduplication
+            if (session.contentHash && getContentHash(session.parts) !== session.contentHash) {
+                console.warn(`Upload ${fileId} does not match the content hash it was started with; not indexing it`);
+                session.contentHash = null;
+            }
 
-                // Clean up
-                delete gcpWriteStreams[fileId];
-                fileKeyMap.delete(fileId); // No longer need this for cleanup
+            const stored = await provider.completeUpload(session) || {};
 
-                return res.status(200).json({
-                    success: true,
-                    key: fileKey,
-                    url: fileUrl
+            // Storage that computes the composite itself (S3) must agree, and storage that checks
+            // the object against its parts (GCS resumable sessions) must have found no mismatch
+            if (fileChecksum && stored.checksum && stored.checksum !== fileChecksum) {
+                console.error(`Stored object ${session.fileKey} has checksum ${stored.checksum}, expected ${fileChecksum}`);
+                stored.checksumMismatch = true;
+            }
+            if (stored.checksumMismatch) {
+                await deleteFileFromCloud(session.fileKey);
+                await sessionStore.deleteSession(fileId);
+                await endActiveUpload(session.userId || req.user.id, fileId);
+
+                return res.status(422).json({
+                    success: false,
+                    error: 'Stored object does not match the uploaded file',
+                    checksumMismatch: true
                 });
             }
-        }
-        // Abort upload
-        else if (action === 'abort') {
-            // Mark this upload as cancelled
-            cancelledUploads.add(fileId);
 
-            // Get the file key from the request or from our mapping
-            const targetFileKey = fileKey || fileKeyMap.get(fileId);
+            // Clean up
+            await sessionStore.deleteSession(fileId);
+            await endActiveUpload(session.userId || req.user.id, fileId);
 
-            if (cloudProvider === 'aws') {
-                if (!multipartUploads[fileId] && !targetFileKey) {
-                    // Still return success if the upload wasn't found
-                    return res.status(200).json({
-                        success: true,
-                        message: 'Upload marked as cancelled'
+            // Later uploads of the same content point at this object instead
+            if (session.contentHash) {
+                try {
+                    await sessionStore.saveContentEntry(session.contentHash, {
+                        fileKey: session.fileKey,
+                        fileSize: Number(session.fileSize)
                     });
+                } catch (indexError) {
+                    console.error('Error indexing uploaded content:', indexError);
                 }
+            }
 
-                const s3Client = getStorageClient();
-                const uploadDetails = multipartUploads[fileId];
-                const actualFileKey = uploadDetails ? uploadDetails.fileKey : targetFileKey;
-                const actualUploadId = uploadDetails ? uploadDetails.uploadId : uploadId;
+            return res.status(200).json({
+                success: true,
+                key: session.fileKey,
+                url: provider.getFileUrl(session.fileKey),
+                checksum: fileChecksum,
+                uploadedBy: session.uploadedBy || req.user.username
+            });
+        }
+        // Abort upload
+        else if (action === 'abort') {
+            const session = await sessionStore.getSession(fileId);
+            const previous = await sessionStore.getCancelled(fileId);
+            if ((session && !canUseSession(session, req.user)) || (!session && previous && !canUseSession(previous, req.user))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Upload session not found'
+                });
+            }
 
-                if (actualUploadId) {
-                    try {
-                        // Abort the multipart upload
-                        const command = new AbortMultipartUploadCommand({
-                            Bucket: bucketName,
-                            Key: actualFileKey,
-                            UploadId: actualUploadId
-                        });
-
-                        await s3Client.send(command);
-                    } catch (abortError) {
-                        console.error('Error aborting S3 multipart upload:', abortError);
-                    }
-                }
+            // Mark this upload as cancelled, keeping the key of an earlier cancellation
+            await sessionStore.markCancelled(fileId, session ? session.fileKey : previous?.fileKey, session?.userId || req.user.id);
+            await endActiveUpload(session?.userId || req.user.id, fileId);
 
-                if (actualFileKey) {
-                    // Also attempt to delete any existing object with this key
-                    try {
-                        await deleteFileFromCloud(actualFileKey);
-                    } catch (deleteError) {
-                        console.error('Error deleting S3 file:', deleteError);
-                    }
+            if (session) {
+                try {
+                    // Abort the multipart upload
+                    await provider.abortUpload(session);
+                } catch (abortError) {
+                    console.error(`Error aborting ${cloudProvider} multipart upload:`, abortError);
                 }
 
-                // Clean up
-                if (fileId in multipartUploads) {
-                    delete multipartUploads[fileId];
-                }
-                fileKeyMap.delete(fileId);
+                // Also attempt to delete any object the session already completed
+                await deleteFileFromCloud(session.fileKey);
+            } else {
+                // Without a session (it completed or expired), the key comes from the client or an
+                // earlier cancellation, so the object may only go when the caller could delete it
+                // through /api/files
+                const staleKey = fileKey || previous?.fileKey;
+                const stored = staleKey ? await provider.headFile(staleKey) : null;
 
-                return res.status(200).json({
-                    success: true,
-                    message: 'Upload aborted and file cleanup attempted'
-                });
-            } else if (cloudProvider === 'gcp') {
-                if (!gcpWriteStreams[fileId] && !targetFileKey) {
+                if (!stored) {
                     // Still return success if the upload wasn't found
                     return res.status(200).json({
                         success: true,
                         message: 'Upload marked as cancelled'
                     });
                 }
-
-                if (fileId in gcpWriteStreams) {
-                    // Destroy the write stream
-                    gcpWriteStreams[fileId].writeStream.destroy();
+                // The route only asks API keys for the upload scope; deleting a stored object also
+                // takes the delete scope, as it does through /api/files
+                if (req.apiKey && !req.apiKey.scopes.includes('delete')) {
+                    return res.status(403).json({
+                        success: false,
+                        error: 'This API key does not have the delete scope'
+                    });
                 }
-
-                const actualFileKey = gcpWriteStreams[fileId] ?
-                    gcpWriteStreams[fileId].fileKey :
-                    targetFileKey;
-
-                if (actualFileKey) {
-                    // Delete the incomplete file
-                    try {
-                        await deleteFileFromCloud(actualFileKey);
-                    } catch (deleteError) {
-                        console.error('Error deleting GCP file:', deleteError);
-                    }
+                if (!canDeleteObject(stored, req.user)) {
+                    return res.status(403).json({
+                        success: false,
+                        error: 'Only the uploader or an admin can delete this file'
+                    });
                 }
+                await deleteFileFromCloud(staleKey);
+            }
 
-                // Clean up
-                if (fileId in gcpWriteStreams) {
-                    delete gcpWriteStreams[fileId];
-                }
-                fileKeyMap.delete(fileId);
+            // Clean up
+            await sessionStore.deleteSession(fileId);
 
-                return res.status(200).json({
-                    success: true,
-                    message: 'Upload aborted and file cleanup attempted'
-                });
-            }
+            return res.status(200).json({
+                success: true,
+                message: 'Upload aborted and file cleanup attempted'
+            });
         }
 
         return res.status(400).json({
@@ -384,37 +619,17 @@ export default async function handler(req, res) {
             error: 'Invalid action'
         });
     } catch (error) {
-        console.error('Upload error:', error);
-        return res.status(500).json({
+        // Rate limits tell the client when to try again
+        if (error.retryAfter) {
+            res.setHeader('Retry-After', String(error.retryAfter));
+        } else {
+            console.error('Upload error:', error);
+        }
+        return res.status(error.statusCode || 500).json({
             success: false,
             error: error.message || 'Internal server error'
         });
     }
 }
 
-// Generate a unique key for the file
-function generateFileKey(fileName) {
-    // Create folder structure based on date
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-
-    // Clean the file name
-    const cleanName = fileName.replace(/[^\w\s.-]/g, '').replace(/\s+/g, '-');
-
-    // Add unique ID to prevent overwriting
-    const uniqueId = require('crypto').randomBytes(4).toString('hex');
-
-    return `uploads/${year}-${month}-${day}/${uniqueId}-${cleanName}`;
-}
-
-// Get the URL of a file based on provider and bucket
-function getFileUrl(fileKey) {
-    if (cloudProvider === 'aws') {
-        return `https://${bucketName}.s3.${process.env.NEXT_PUBLIC_AWS_REGION}.amazonaws.com/${fileKey}`;
-    } else if (cloudProvider === 'gcp') {
-        return `https://storage.googleapis.com/${bucketName}/${fileKey}`;
-    }
-    return null;
-}
\ No newline at end of file
+export default withAuth(handler, { roles: UPLOAD_ROLES, scope: 'upload' });
@@ -1,4 +1,6 @@
 import { uploadFile } from '../../lib/cloudStorage';
+import { withAuth } from '../../lib/auth';
+import { UPLOAD_ROLES } from '../../lib/auth/users';
 
 // Configure Next.js API route to handle large files
 export const config = {
@@ -10,7 +12,7 @@ export const config = {
   },
 };
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only allow POST method
   if (req.method !== 'POST') {
     return res.status(405).json({ message: 'Method not allowed' });
@@ -35,8 +37,8 @@ export default async function handler(req, res) {
       uploadProgress = progressPercentage;
     };
     
-    // Upload to cloud storage (AWS S3 or Google Cloud Storage)
-    const result = await uploadFile(fileBuffer, fileName, fileType, onProgress);
+    // Upload through the configured storage provider
+    const result = await uploadFile(fileBuffer, fileName, fileType, onProgress, req.user);
     
     if (!result.success) {
       return res.status(500).json({
@@ -53,7 +55,8 @@ export default async function handler(req, res) {
       fileSize,
       key: result.key,
       url: result.url,
-      fileId
+      fileId,
+      uploadedBy: req.user.username
     });
     
   } catch (error) {
@@ -64,4 +67,6 @@ export default async function handler(req, res) {
       error: error.message || 'Internal server error'
     });
   }
-}
\ No newline at end of file
+}
+
+export default withAuth(handler, { roles: UPLOAD_ROLES, scope: 'upload' });
@@ -0,0 +1,37 @@
+// pages/api/users/[id].js
+// Updates ({ role, password, disabled, revokeSessions }) and deletes a user account (admins only)
+import { withAuth } from '../../../lib/auth';
+import { updateUser, deleteUser } from '../../../lib/auth/users';
+
+async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'PATCH') {
+      const { role, password, disabled, revokeSessions } = req.body;
+      const user = await updateUser(id, { role, password, disabled, revokeSessions });
+      return res.status(200).json({ success: true, user });
+    }
+
+    if (req.method === 'DELETE') {
+      if (id === req.user.id) {
+        return res.status(409).json({ success: false, error: 'You cannot delete your own account' });
+      }
+
+      await deleteUser(id);
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ message: 'Method not allowed' });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('User management error:', error);
+    }
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Internal server error'
+    });
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] });
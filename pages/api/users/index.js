@@ -0,0 +1,31 @@
+// pages/api/users/index.js
+// Lists and creates user accounts (admins only)
+import { withAuth } from '../../../lib/auth';
+import { listUsers, createUser } from '../../../lib/auth/users';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const users = await listUsers();
+      return res.status(200).json({ success: true, users });
+    }
+
+    if (req.method === 'POST') {
+      const { username, password, role } = req.body;
+      const user = await createUser({ username, password, role });
+      return res.status(201).json({ success: true, user });
+    }
+
+    return res.status(405).json({ message: 'Method not allowed' });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('User management error:', error);
+    }
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Internal server error'
+    });
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] });
@@ -10,8 +10,8 @@ const Home = () => {
 
   // Check if user is already authenticated
   useEffect(() => {
-    const checkAuth = () => {
-      const isAuthenticated = sessionManager.checkSession();
+    const checkAuth = async () => {
+      const isAuthenticated = await sessionManager.checkSession();
       
       if (isAuthenticated) {
         // Redirect to uploader page
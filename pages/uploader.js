@@ -1,27 +1,34 @@
 import React, { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
+import Link from 'next/link';
 import DropZone from '../components/DropZone';
 import FileList from '../components/FileList';
+import PendingUploads from '../components/PendingUploads';
 import UploadStats from '../components/UploadStats';
+import UploadLimits from '../components/UploadLimits';
+import StoredFiles from '../components/StoredFiles';
+import ApiKeys from '../components/ApiKeys';
 import { useUploader } from '../contexts/UploaderContext';
 import { sessionManager } from '../lib/db';
 
 const UploaderPage = () => {
   const [isLoading, setIsLoading] = useState(true);
+  const [user, setUser] = useState(null);
   const router = useRouter();
   const { cloudProvider } = useUploader();
 
   // Check if user is authenticated
   useEffect(() => {
-    const checkAuth = () => {
-      const isAuthenticated = sessionManager.checkSession();
+    const checkAuth = async () => {
+      const session = await sessionManager.getSession();
 
-      if (!isAuthenticated) {
+      if (!session) {
         // Redirect to home page for authentication
         router.push('/');
       } else {
         // Show the uploader
+        setUser(session.user);
         setIsLoading(false);
       }
     };
@@ -30,8 +37,8 @@ const UploaderPage = () => {
   }, [router]);
 
   // Handle logout
-  const handleLogout = () => {
-    sessionManager.clearSession();
+  const handleLogout = async () => {
+    await sessionManager.clearSession();
     router.push('/');
   };
 
@@ -41,6 +48,10 @@ const UploaderPage = () => {
       return 'Amazon S3';
     } else if (cloudProvider === 'gcp') {
       return 'Google Cloud Storage';
+    } else if (cloudProvider === 'azure') {
+      return 'Azure Blob Storage';
+    } else if (cloudProvider === 'local') {
+      return 'Local Storage';
     } else {
       return 'Cloud Storage';
     }
@@ -60,6 +71,18 @@ const UploaderPage = () => {
           <path d="M12.19 2.38a9.344 9.344 0 0 0-9.234 6.893c.053-.02-.055.013 0 0-3.875 2.551-3.922 8.11-.247 10.941l.006-.007-.007.03a9.321 9.321 0 0 0 9.282 7.013 9.341 9.341 0 0 0 9.232-6.981l.002.007v-.002a9.203 9.203 0 0 0 0-10.974l.002.003v-.004a9.323 9.323 0 0 0-9.036-6.92zm5.99 18.297c-.7.74-1.631 1.25-2.562 1.637-2.762 1.152-5.1.284-5.977-.295-1.9-1.246-3.716-3.502-3.133-7.621.916-6.505 6.145-7.067 7.397-7.136 1.242-.074 5.577-.094 7.715 4.421.884 1.866.664 5.785-3.44 8.994z" />
         </svg>
       );
+    } else if (cloudProvider === 'azure') {
+      return (
+        <svg className="w-5 h-5" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M5.483 21.3H24L14.025 4.013l-3.038 8.347 5.836 6.938L5.483 21.3zM13.049 2.7L6.164 8.524 0 19.3h5.553l7.496-16.6z" />
+        </svg>
+      );
+    } else if (cloudProvider === 'local') {
+      return (
+        <svg className="w-5 h-5" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01" />
+        </svg>
+      );
     } else {
       return (
         <svg className="w-5 h-5" viewBox="0 0 24 24" fill="currentColor">
@@ -104,13 +127,29 @@ const UploaderPage = () => {
                 </div>
               </div>
 
-              <button
-                type="button"
-                onClick={handleLogout}
-                className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300"
-              >
-                Logout
-              </button>
+              <div className="flex items-center gap-4">
+                <span className="text-sm text-gray-700 dark:text-gray-300">
+                  {user.username}
+                  <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">({user.role})</span>
+                </span>
+
+                {user.role === 'admin' && (
+                  <Link
+                    href="/admin"
+                    className="text-sm text-primary hover:text-primary-dark dark:text-primary-light"
+                  >
+                    Users
+                  </Link>
+                )}
+
+                <button
+                  type="button"
+                  onClick={handleLogout}
+                  className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300"
+                >
+                  Logout
+                </button>
+              </div>
             </div>
           </div>
         </header>
@@ -123,21 +162,42 @@ const UploaderPage = () => {
               <UploadStats />
             </section>
 
-            {/* Drop Zone */}
-            <section>
-              <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
-                Upload Files
-              </h2>
-              <DropZone />
-            </section>
-
-            {/* File List */}
-            <section>
-              <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
-                Selected Files
-              </h2>
-              <FileList />
-            </section>
+            {/* Viewers browse stored files but cannot upload */}
+            {user.role === 'viewer' ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Your account can view stored files. Ask an administrator for upload access.
+              </p>
+            ) : (
+              <>
+                {/* Drop Zone */}
+                <section>
+                  <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+                    Upload Files
+                  </h2>
+                  <DropZone />
+                </section>
+
+                {/* Uploads left unfinished in an earlier visit */}
+                <PendingUploads />
+
+                {/* Rate limits and upload schedule */}
+                <UploadLimits />
+
+                {/* File List */}
+                <section>
+                  <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+                    Selected Files
+                  </h2>
+                  <FileList />
+                </section>
+              </>
+            )}
+
+            {/* Files already in storage */}
+            <StoredFiles />
+
+            {/* Keys for scripted uploads */}
+            <ApiKeys />
           </div>
         </main>
 
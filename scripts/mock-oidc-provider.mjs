@@ -0,0 +1,168 @@
+// Mock OpenID Connect provider for trying single sign-on locally (npm run mock-oidc)
+//
+// Signs everyone in without asking, as MOCK_OIDC_USER (or the authorization request's login_hint)
+// with the groups in MOCK_OIDC_GROUPS. It checks what CloudFlux must get right: the client id, the
+// redirect URI and the PKCE verifier, and signs ID tokens with a fresh RSA key on every start.
+//
+//   OIDC_ISSUER=http://localhost:9400
+//   OIDC_CLIENT_ID=cloudflux
+import crypto from 'crypto';
+import http from 'http';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '9400', 10);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'cloudflux';
+const USERNAME = process.env.MOCK_OIDC_USER || 'alice';
+const GROUPS = (process.env.MOCK_OIDC_GROUPS || 'cloudflux-users').split(',').map(group => group.trim()).filter(Boolean);
+// Leave groups out of the ID token so the client has to ask the userinfo endpoint
+const GROUPS_IN_USERINFO = process.env.MOCK_OIDC_GROUPS_IN_USERINFO === 'true';
+
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Codes and access tokens live for a minute and an hour
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64Url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signJwt = (claims) => {
+    const unsigned = `${base64Url({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })}.${base64Url(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), privateKey).toString('base64url');
+    return `${unsigned}.${signature}`;
+};
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+};
+
+const readForm = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+});
+
+const claimsFor = (username) => ({
+    sub: crypto.createHash('sha256').update(username).digest('hex').slice(0, 16),
+    preferred_username: username,
+    email: `${username}@example.com`,
+    email_verified: true,
+    groups: GROUPS
+});
+
+const handleAuthorize = (res, params) => {
+    const redirectUri = params.get('redirect_uri');
+    if (params.get('client_id') !== CLIENT_ID || !redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+    }
+
+    const redirect = new URL(redirectUri);
+    redirect.searchParams.set('state', params.get('state') || '');
+
+    if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+        redirect.searchParams.set('error', 'invalid_request');
+        redirect.searchParams.set('error_description', 'The code flow with an S256 PKCE challenge is required');
+    } else {
+        const code = crypto.randomBytes(16).toString('base64url');
+        codes.set(code, {
+            redirectUri,
+            challenge: params.get('code_challenge'),
+            nonce: params.get('nonce'),
+            username: params.get('login_hint') || USERNAME,
+            expiresAt: Date.now() + 60 * 1000
+        });
+        redirect.searchParams.set('code', code);
+    }
+
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+};
+
+const handleToken = async (req, res) => {
+    const params = await readForm(req);
+    const pending = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+
+    if (params.get('grant_type') !== 'authorization_code' || !pending || pending.expiresAt < Date.now()) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+    }
+    if (params.get('client_id') !== CLIENT_ID || params.get('redirect_uri') !== pending.redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Client or redirect_uri does not match' });
+    }
+    const verifier = params.get('code_verifier') || '';
+    if (crypto.createHash('sha256').update(verifier).digest('base64url') !== pending.challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const { groups, ...claims } = claimsFor(pending.username);
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(16).toString('base64url');
+    accessTokens.set(accessToken, { username: pending.username, expiresAt: Date.now() + 60 * 60 * 1000 });
+
+    return sendJson(res, 200, {
+        token_type: 'Bearer',
+        access_token: accessToken,
+        expires_in: 3600,
+        id_token: signJwt({
+            iss: ISSUER,
+            aud: CLIENT_ID,
+            iat: now,
+            exp: now + 300,
+            nonce: pending.nonce,
+            ...claims,
+            ...(!GROUPS_IN_USERINFO && { groups })
+        })
+    });
+};
+
+const handleUserinfo = (req, res) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const grant = match && accessTokens.get(match[1]);
+    if (!grant || grant.expiresAt < Date.now()) {
+        return sendJson(res, 401, { error: 'invalid_token' });
+    }
+    return sendJson(res, 200, claimsFor(grant.username));
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, ISSUER);
+    console.log(req.method, url.pathname);
+
+    try {
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer: ISSUER,
+                authorization_endpoint: `${ISSUER}/authorize`,
+                token_endpoint: `${ISSUER}/token`,
+                userinfo_endpoint: `${ISSUER}/userinfo`,
+                jwks_uri: `${ISSUER}/jwks`,
+                response_types_supported: ['code'],
+                subject_types_supported: ['public'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256']
+            });
+        }
+        if (url.pathname === '/jwks') {
+            return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+        }
+        if (url.pathname === '/authorize') {
+            return handleAuthorize(res, url.searchParams);
+        }
+        if (url.pathname === '/token' && req.method === 'POST') {
+            return await handleToken(req, res);
+        }
+        if (url.pathname === '/userinfo') {
+            return handleUserinfo(req, res);
+        }
+        return sendJson(res, 404, { error: 'not_found' });
+    } catch (error) {
+        console.error('Mock OIDC provider error:', error);
+        return sendJson(res, 500, { error: 'server_error' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock OIDC provider at ${ISSUER} (client id ${CLIENT_ID}, user ${USERNAME}, groups ${GROUPS.join(', ') || 'none'})`);
+});